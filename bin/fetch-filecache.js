@@ -0,0 +1,485 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool to inspect and maintain a cache folder.
+ *
+ * Run `fetch-filecache help` for usage.
+ *
+ * @module fetch-filecache/cli
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const fetch = require('..');
+const { listFiles } = require('../storage');
+
+const usage = `Usage: fetch-filecache <command> [options]
+
+Commands:
+  ls                   List cache entries
+  show <url>           Print the stored headers and body location of a URL
+  purge <url>          Delete the cache entries of a URL. Delete all URLs
+                       that start with a prefix when the argument ends
+                       with "*"
+  stats                Report the number of entries and the size of the cache,
+                       with a per-host breakdown
+  export-har [file]    Export cache entries to a HAR file, or to the standard
+                       output if no file is given
+  import-har <file>    Import the entries of a HAR file into the cache
+  prefetch [url...]    Fetch the given URLs, and the URLs of the sitemap
+                       given with --sitemap, into the cache
+  migrate              Convert the cache folder to the layout given with
+                       --layout (run when no crawl is using the cache folder)
+  verify               Look for orphaned body files, headers files without
+                       bodies, headers files that cannot be parsed, bodies
+                       that do not match the length and digest recorded in
+                       their headers file, shared bodies that no entry
+                       references, and leftover temporary and lock files
+                       (run when no crawl is using the cache folder)
+  help                 Print this help message
+
+Options:
+  --cache-folder <dir> Cache folder to use (default: the cache folder set in
+                       the project configuration or in the
+                       FETCH_FILECACHE_FOLDER environment variable, ".cache"
+                       otherwise)
+  --prefix <prefix>    (ls, export-har) Only list or export URLs that start
+                       with the given prefix
+  --host <host>        (ls) Only list URLs on the given host
+  --method <method>    (ls) Only list entries for the given HTTP method
+  --status <status>    (ls) Only list entries with the given HTTP status
+  --fix                (verify) Delete the files that have problems
+  --sitemap <url>      (prefetch) Also fetch the URLs listed in the sitemap
+  --concurrency <n>    (prefetch) Number of URLs to fetch at once (default: 4)
+  --refresh <strategy> (prefetch) Refresh strategy to use, e.g. "force" or a
+                       number of seconds (default: the strategy set in the
+                       project configuration or in the FETCH_FILECACHE_REFRESH
+                       environment variable, "default" otherwise)
+  --layout <layout>    (migrate) Layout to convert the cache folder to:
+                       "flat" or "mirror"
+  --json               Output results as JSON`;
+
+
+/**
+ * Parse command-line arguments
+ *
+ * @function
+ * @param {Array<String>} args Command-line arguments, without the node
+ *   executable and script name
+ * @return {Object} An object with `command`, `params` (positional arguments)
+ *   and `options` properties
+ */
+function parseArguments(args) {
+  const flags = ['fix', 'json'];
+  const res = { command: null, params: [], options: {} };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--')) {
+      let [name, value] = arg.slice(2).split(/=(.*)/s);
+      name = name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+      if (flags.includes(name)) {
+        res.options[name] = true;
+      }
+      else {
+        if (value === undefined) {
+          i += 1;
+          value = args[i];
+        }
+        if (value === undefined) {
+          throw new Error(`Missing value for option --${arg.slice(2)}`);
+        }
+        res.options[name] = value;
+      }
+    }
+    else if (!res.command) {
+      res.command = arg;
+    }
+    else {
+      res.params.push(arg);
+    }
+  }
+  return res;
+}
+
+
+/**
+ * Return the host of a URL, or "(unknown)" if the URL is not known or invalid
+ *
+ * @function
+ * @param {String} url The URL
+ * @return {String} The host
+ */
+function getHost(url) {
+  try {
+    return (new URL(url)).host;
+  }
+  catch (err) {
+    return '(unknown)';
+  }
+}
+
+
+/**
+ * Format a number of bytes for humans
+ *
+ * @function
+ * @param {Number} size Number of bytes
+ * @return {String} Formatted size
+ */
+function formatSize(size) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let unit = 0;
+  while ((size >= 1024) && (unit < units.length - 1)) {
+    size /= 1024;
+    unit += 1;
+  }
+  return (unit === 0 ? size : size.toFixed(1)) + ' ' + units[unit];
+}
+
+
+/**
+ * List cache entries that match the filters
+ */
+async function ls(cache, params, options) {
+  const entries = (await cache.listEntries(options))
+    .filter(entry => !options.host || (getHost(entry.url) === options.host))
+    .filter(entry => !options.method ||
+      (entry.method === options.method.toUpperCase()))
+    .filter(entry => !options.status ||
+      (entry.status === parseInt(options.status, 10)));
+  if (options.json) {
+    console.log(JSON.stringify(entries.map(entry => {
+      const res = Object.assign({}, entry);
+      delete res.headers;
+      return res;
+    }), null, 2));
+    return;
+  }
+  for (const entry of entries) {
+    console.log([
+      entry.status,
+      entry.method,
+      formatSize(entry.size),
+      entry.received.toISOString(),
+      entry.url ?? path.basename(entry.filename)
+    ].join('\t'));
+  }
+}
+
+
+/**
+ * Print the stored headers and body location of a URL
+ */
+async function show(cache, params, options) {
+  const url = params[0];
+  if (!url) {
+    throw new Error('No URL given');
+  }
+  const entries = (await cache.listEntries(options))
+    .filter(entry => entry.url === url);
+  if (entries.length === 0) {
+    throw new Error(`No cache entry found for ${url}`);
+  }
+  if (options.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+  entries.forEach((entry, idx) => {
+    if (idx > 0) {
+      console.log();
+    }
+    console.log(`${entry.method} ${entry.url}`);
+    console.log(`Body: ${entry.filename}`);
+    console.log(`Headers: ${entry.headersFilename}`);
+    console.log(JSON.stringify(entry.headers, null, 2));
+  });
+}
+
+
+/**
+ * Delete the cache entries of a URL or of all URLs that start with a prefix
+ */
+async function purge(cache, params, options) {
+  const url = params[0];
+  if (!url) {
+    throw new Error('No URL given');
+  }
+  const deleted = url.endsWith('*') ?
+    await cache.deletePrefix(url.slice(0, -1), options) :
+    await cache.deleteUrl(url, options);
+  if (options.json) {
+    console.log(JSON.stringify({ deleted }));
+  }
+  else {
+    console.log(`${deleted} cache ${deleted === 1 ? 'entry' : 'entries'} deleted`);
+  }
+}
+
+
+/**
+ * Report the number of entries and the size of the cache per host
+ */
+async function stats(cache, params, options) {
+  const entries = await cache.listEntries(options);
+  const res = { entries: 0, size: 0, hosts: {} };
+  for (const entry of entries) {
+    const host = getHost(entry.url);
+    if (!res.hosts[host]) {
+      res.hosts[host] = { entries: 0, size: 0 };
+    }
+    res.hosts[host].entries += 1;
+    res.hosts[host].size += entry.size;
+    res.entries += 1;
+    res.size += entry.size;
+  }
+  if (options.json) {
+    console.log(JSON.stringify(res, null, 2));
+    return;
+  }
+  console.log(`${res.entries} entries, ${formatSize(res.size)}`);
+  Object.entries(res.hosts)
+    .sort((h1, h2) => h2[1].size - h1[1].size)
+    .forEach(([host, hostStats]) => console.log(
+      `  ${host}\t${hostStats.entries} entries\t${formatSize(hostStats.size)}`));
+}
+
+
+/**
+ * Export cache entries to a HAR file
+ */
+async function exportHar(cache, params, options) {
+  const har = await cache.exportHar(options);
+  const json = JSON.stringify(har, null, 2);
+  if (params[0]) {
+    await fs.promises.writeFile(params[0], json, 'utf8');
+    if (!options.json) {
+      console.log(`${har.log.entries.length} cache ${har.log.entries.length === 1 ? 'entry' : 'entries'} exported`);
+    }
+  }
+  else {
+    console.log(json);
+  }
+}
+
+
+/**
+ * Import the entries of a HAR file into the cache
+ */
+async function importHar(cache, params, options) {
+  const file = params[0];
+  if (!file) {
+    throw new Error('No HAR file given');
+  }
+  const har = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  const imported = await cache.importHar(har, options);
+  if (options.json) {
+    console.log(JSON.stringify({ imported }));
+  }
+  else {
+    console.log(`${imported} cache ${imported === 1 ? 'entry' : 'entries'} imported`);
+  }
+}
+
+
+/**
+ * Fetch URLs into the cache
+ */
+async function prefetch(cache, params, options) {
+  const fetchOptions = {};
+  const urls = params.slice();
+  if (options.sitemap) {
+    urls.push(...await cache.readSitemap(options.sitemap, fetchOptions));
+  }
+  if (urls.length === 0) {
+    throw new Error('No URL given');
+  }
+  if (options.concurrency) {
+    fetchOptions.concurrency = parseInt(options.concurrency, 10);
+  }
+  if (!options.json) {
+    fetchOptions.onProgress = ({ done, total, result }) => console.log([
+      `[${done}/${total}]`,
+      result.outcome,
+      result.status ?? '-',
+      result.url + (result.error ? ` (${result.error.message})` : '')
+    ].join('\t'));
+  }
+
+  const results = await cache.prefetch(urls, fetchOptions);
+  const failed = results.filter(result => result.outcome === 'failed');
+  if (options.json) {
+    console.log(JSON.stringify(results.map(result => Object.assign({}, result,
+      result.error ? { error: result.error.message } : {})), null, 2));
+  }
+  else {
+    const counts = {};
+    for (const result of results) {
+      counts[result.outcome] = (counts[result.outcome] ?? 0) + 1;
+    }
+    console.log(`${results.length} URL${results.length === 1 ? '' : 's'} prefetched: ` +
+      Object.entries(counts).map(([outcome, count]) => `${count} ${outcome}`).join(', '));
+  }
+  if (failed.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+
+/**
+ * Convert the cache folder to another layout
+ */
+async function migrate(cache, params, options) {
+  if (!options.layout) {
+    throw new Error('No layout given');
+  }
+  const res = await cache.migrateLayout(options.layout);
+  if (options.json) {
+    console.log(JSON.stringify(res, null, 2));
+    return;
+  }
+  console.log(`${res.migrated} cache ${res.migrated === 1 ? 'entry' : 'entries'} migrated`);
+  if (res.skipped.length > 0) {
+    console.log(`${res.skipped.length} cache ${res.skipped.length === 1 ? 'entry' : 'entries'} skipped (URL not recorded):`);
+    for (const key of res.skipped) {
+      console.log(`  ${key}`);
+    }
+  }
+}
+
+
+/**
+ * Look for inconsistencies in the cache folder
+ */
+async function verify(cache, params, options) {
+  const cacheFolder = cache.getParameter('cacheFolder');
+  await fs.promises.access(cacheFolder);
+  const files = await listFiles(cacheFolder);
+  const fileSet = new Set(files);
+  const problems = [];
+
+  // Bodies shared by entries when bodies are deduplicated
+  const referencedBlobs = new Set();
+
+  for (const file of files) {
+    const filename = path.join(cacheFolder, file);
+    if (file.startsWith('.') || file.startsWith('blobs/')) {
+      // Internal files such as the reset marker and the manifest, and shared
+      // bodies
+      continue;
+    }
+    if (file.endsWith('.headers')) {
+      let headers;
+      try {
+        headers = JSON.parse(await fs.promises.readFile(filename, 'utf8'));
+      }
+      catch (err) {
+        problems.push({ file: filename, problem: 'invalid headers file' });
+        continue;
+      }
+      if (headers.varyOn) {
+        continue;
+      }
+      let bodyFile = file.slice(0, -'.headers'.length);
+      if (headers.bodyKey) {
+        bodyFile = headers.bodyKey;
+        referencedBlobs.add(bodyFile);
+      }
+      const bodyFilename = path.join(cacheFolder, bodyFile);
+      if (!fileSet.has(bodyFile)) {
+        problems.push({ file: filename, problem: 'missing body file' });
+      }
+      else if (Number.isInteger(headers.bodyLength)) {
+        const hash = crypto.createHash('sha256');
+        await pipeline(fs.createReadStream(bodyFilename), hash);
+        if (((await fs.promises.stat(bodyFilename)).size !== headers.bodyLength) ||
+            (headers.bodyDigest && ('sha256-' + hash.digest('base64') !== headers.bodyDigest))) {
+          if (!problems.find(problem => problem.file === bodyFilename)) {
+            problems.push({ file: bodyFilename, problem: 'corrupted body file' });
+          }
+          problems.push({ file: filename, problem: 'headers file of corrupted body' });
+        }
+      }
+    }
+    else if (file.endsWith('.tmp')) {
+      problems.push({ file: filename, problem: 'leftover temporary file' });
+    }
+    else if (file.endsWith('.lock') || file.endsWith('.break')) {
+      problems.push({ file: filename, problem: 'leftover lock file' });
+    }
+    else if (!fileSet.has(file + '.headers')) {
+      problems.push({ file: filename, problem: 'orphaned body file' });
+    }
+  }
+
+  for (const file of files.filter(file => file.startsWith('blobs/'))) {
+    const filename = path.join(cacheFolder, file);
+    if (file.endsWith('.tmp')) {
+      problems.push({ file: filename, problem: 'leftover temporary file' });
+    }
+    else if (!referencedBlobs.has(file)) {
+      problems.push({ file: filename, problem: 'unreferenced shared body file' });
+    }
+  }
+
+  if (options.fix) {
+    for (const problem of problems) {
+      await fs.promises.rm(problem.file, { force: true });
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(problems, null, 2));
+  }
+  else if (problems.length === 0) {
+    console.log('No problem found');
+  }
+  else {
+    for (const problem of problems) {
+      console.log(`${problem.problem}: ${problem.file}`);
+    }
+    console.log(`${problems.length} problem${problems.length === 1 ? '' : 's'} found` +
+      (options.fix ? ', files deleted' : ''));
+  }
+  if (!options.fix && (problems.length > 0)) {
+    process.exitCode = 1;
+  }
+}
+
+
+const commands = {
+  ls, show, purge, stats, verify, migrate, prefetch,
+  'export-har': exportHar,
+  'import-har': importHar
+};
+
+async function main() {
+  const { command, params, options } = parseArguments(process.argv.slice(2));
+  if (!command || (command === 'help')) {
+    console.log(usage);
+    return;
+  }
+  if (!commands[command]) {
+    throw new Error(`Unknown command "${command}"`);
+  }
+
+  // Parameters come from the configuration (project configuration file and
+  // environment variables), unless they are set explicitly through options,
+  // in which case they take precedence over environment variables
+  const overrides = {};
+  if (options.cacheFolder) {
+    overrides.cacheFolder = options.cacheFolder;
+  }
+  if (options.refresh) {
+    overrides.refresh = /^\d+$/.test(options.refresh) ?
+      parseInt(options.refresh, 10) :
+      options.refresh;
+  }
+  const cache = fetch.createFetch({}, overrides);
+  await commands[command](cache, params, options);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 2;
+});
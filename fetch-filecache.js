@@ -6,33 +6,211 @@
  */
 
 const crypto = require('crypto');
-const URL = require('url');
-const filenamifyUrl = require('filenamify-url');
-const { rimraf } = require('rimraf');
-const path = require('path');
+const EventEmitter = require('events');
 const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const stream = require('stream');
+const zlib = require('zlib');
+const filenamifyUrl = require('filenamify-url');
+const { pipeline } = require('stream/promises');
+const { FileStorage, MemoryStorage, ArchiveStorage } = require('./storage');
+const packageInfo = require('./package.json');
 
-let globalConfig = {
+// Default settings of fetch instances
+const defaultConfig = {
   cacheFolder: '.cache',
+  layout: null,
+  storage: null,
   resetCache: false,
   refresh: 'default',
+  staleIfError: false,
+  sharedCache: false,
+  maxCacheSize: 0,
+  maxEntryAge: 0,
+  checkIntegrity: true,
+  compression: false,
+  compressionThreshold: 1024,
+  deduplicate: false,
+  keepVersions: 0,
+  useLocks: true,
+  lockStaleTimeout: 30,
+  retries: 3,
+  retryDelay: 2000,
+  retryMaxDelay: 10000,
+  retryStatuses: [],
+  retryErrorCodes: null,
+  shouldRetry: null,
+  maxConcurrentRequests: 0,
+  requestDelay: 0,
+  maxRetryAfter: 60,
+  hosts: {},
+  useCache: true,
+  rules: [],
   logToConsole: false
 };
 
+// Name of the project configuration file, and name of the key that may
+// contain the configuration in the project's package.json file
+const configFilename = 'fetch-filecache.config.json';
+const packageConfigKey = 'fetch-filecache';
+
+// Environment variables that set parameters, the parameters they set, and
+// the function that converts the value of the variable to the parameter value
+const envParameters = {
+  FETCH_FILECACHE_REFRESH: {
+    name: 'refresh',
+    parse: value => /^\d+$/.test(value) ? parseInt(value, 10) : value
+  },
+  FETCH_FILECACHE_FOLDER: {
+    name: 'cacheFolder',
+    parse: value => value
+  }
+};
+
+// Name of the cache in Cache-Status headers
+const cacheStatusName = 'fetch-filecache-for-crawling';
+
+// Layouts of cache folders, and the function that derives the base cache key
+// of a request from its URL in each layout
+const layouts = {
+  flat: url => filenamify(url),
+  mirror: url => getMirrorPath(url)
+};
+
+// Maximum length of file names in the mirror layout
+const maxMirrorNameLength = 100;
+
+// Refresh strategies, on top of a number of seconds
+const refreshStrategies = ['force', 'default', 'once', 'never', 'offline', 'record'];
+
+
+// File storages, one per cache folder
+const fileStorages = {};
+
+// Statistics counter to increment for each type of event
+const statsCounters = {
+  start: 'requests',
+  hit: 'hits',
+  miss: 'misses',
+  revalidated: 'revalidations',
+  coalesced: 'coalesced',
+  stored: 'stored',
+  retry: 'retries',
+  error: 'errors'
+};
+
+// HTTP methods for which responses get cached. Requests that use other
+// methods are passed through to the network
+const cacheableMethods = ['GET', 'HEAD', 'POST'];
+
+// HTTP statuses for which a response cannot have a body
+const nullBodyStatuses = [101, 103, 204, 205, 304];
+
+// HTTP statuses for which a heuristic freshness lifetime may be computed, see:
+// https://www.rfc-editor.org/rfc/rfc9110#name-overview-of-status-codes
+const heuristicallyCacheableStatuses = [
+  200, 203, 204, 206, 300, 301, 308, 404, 405, 410, 414, 501
+];
+
+// Properties of headers files that are not HTTP headers
+const metadataProperties = [
+  'status', 'received', 'accessed', 'url', 'method', 'bodyLength', 'bodyDigest',
+  'bodyEncoding', 'bodyDecodedLength', 'bodyDecodedDigest', 'bodyKey',
+  'version', 'versions', 'versionOf'
+];
+
+// Prefix of the keys of bodies shared by cache entries, when bodies are
+// stored by content hash
+const blobKeyPrefix = 'blobs/';
+
+// Compressed encodings that may be used to store bodies
+const bodyEncodings = {
+  gzip: {
+    compress: () => zlib.createGzip(),
+    decompress: () => zlib.createGunzip()
+  },
+  br: {
+    compress: () => zlib.createBrotliCompress(),
+    decompress: () => zlib.createBrotliDecompress()
+  }
+};
+
+// Media types that get compressed on top of "text/*" types and types with a
+// "+json" or "+xml" suffix. Other types (images, videos, archives) are most
+// often compressed already.
+const compressibleTypes = [
+  'application/javascript', 'application/json', 'application/xml',
+  'application/ecmascript', 'application/x-javascript'
+];
+
+// HTTP statuses that ask to retry the request later when they come with a
+// Retry-After header
+const retryAfterStatuses = [429, 503];
+
+// Maximum number of times a request gets retried because of a Retry-After
+// header
+const retryAfterMaxAttempts = 3;
+
+// HTTP redirect statuses
+const redirectStatuses = [301, 302, 303, 307, 308];
+
+// HTTP statuses of permanent redirects
+const permanentRedirectStatuses = [301, 308];
+
+// Maximum number of redirects to follow, as in the Fetch standard
+const maxRedirects = 20;
+
+// Minimum time between two updates of the access time of a cache entry (ms)
+const accessTimeResolution = 60 * 1000;
+
+// Heuristic freshness lifetime: 10% of the time since the resource was last
+// modified, as suggested in RFC 9111, capped to one week
+const heuristicFreshnessFactor = 0.1;
+const heuristicFreshnessMaxLifetime = 7 * 24 * 3600;
 
-// The list of URLs that are being fetched and that should soon
-// be available from the cache, together with the Promise to have
-// fetched them
-const pendingFetches = {};
+// Default number of URLs that prefetch fetches at once
+const defaultPrefetchConcurrency = 4;
 
-// Reset the cache folder only once
-let cacheFolderReset = {};
+// Entities that may appear in the text of sitemaps
+const xmlEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
 
-// Request counter
-let counter = 0;
 
-// Launch time
-const launchTime = (new Date()).getTime();
+/**
+ * Error raised when a response is not in the cache and network requests are
+ * disabled (`offline` refresh strategy)
+ *
+ * @class
+ * @param {String} url The requested URL
+ * @param {String} cacheKey The cache key of the missing entry, null when the
+ *   request method is not cacheable
+ */
+class CacheMissError extends Error {
+  constructor(url, cacheKey) {
+    super('No cache entry for ' + url + ' and network requests are disabled');
+    this.name = 'CacheMissError';
+    this.url = url;
+    this.cacheKey = cacheKey;
+  }
+}
+
+
+/**
+ * Error raised when a response would replace a cache entry recorded before
+ * the application started (`record` refresh strategy)
+ *
+ * @class
+ * @param {String} url The requested URL
+ * @param {String} cacheKey The cache key of the entry
+ */
+class CacheOverwriteError extends Error {
+  constructor(url, cacheKey) {
+    super('Cache entry for ' + url + ' was recorded before and cannot be replaced');
+    this.name = 'CacheOverwriteError';
+    this.url = url;
+    this.cacheKey = cacheKey;
+  }
+}
 
 
 /**
@@ -61,287 +239,2016 @@ function filenamify(url) {
 
 
 /**
- * Sleep during the provided number of ms
+ * Escape a URL component so that it can be used as a file name
+ *
+ * Letters, digits, ".", "_" and "-" are kept as-is. Other bytes of the
+ * UTF-8 representation of the decoded component are percent-encoded.
  *
  * @function
- * @param {Number} ms Number of milliseconds to sleep
- * @return {Promise} promise to sleep during the provided number of ms
+ * @param {String} value The URL component, percent-encoded
+ * @return {String} The escaped component
  */
-async function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function escapeMirrorName(value) {
+  let decoded = value;
+  try {
+    decoded = decodeURIComponent(value);
+  }
+  catch (err) {
+  }
+  let name = [...Buffer.from(decoded, 'utf8')]
+    .map(byte => /[A-Za-z0-9._-]/.test(String.fromCharCode(byte)) ?
+      String.fromCharCode(byte) :
+      '%' + byte.toString(16).toUpperCase().padStart(2, '0'))
+    .join('');
+  if ((name === '.') || (name === '..')) {
+    name = name.replace(/\./g, '%2E');
+  }
+  return name;
 }
 
 
 /**
- * Return the value of the given HTTP header
+ * Split a long file name into subfolders, so that names remain below the
+ * limits of file systems once suffixes get appended to cache keys
  *
- * The function performs a case-insensitive search for the request HTTP header
- * name in the given list of HTTP headers.
+ * Subfolders end with "+", a character that escaped names never contain.
  *
  * @function
- * @param {Object} headers HTTP headers
- * @param {string} name HTTP header name to look for
- * @return {string} HTTP header value or null if header is not set.
+ * @param {String} name The escaped name
+ * @return {String} The name, which may contain "/"
  */
-function getHeaderValue(headers, name) {
-  if (!headers) {
-    return null;
+function shardMirrorName(name) {
+  const parts = [];
+  while (name.length > maxMirrorNameLength) {
+    parts.push(name.slice(0, maxMirrorNameLength) + '+');
+    name = name.slice(maxMirrorNameLength);
   }
-  const lname = name.toLowerCase();
-  const key = Object.keys(headers).find(h => h.toLowerCase() === lname);
-  return key ? headers[key] : null;
+  parts.push(name);
+  return parts.join('/');
 }
 
 
 /**
- * Return true if a 304 response should be returned, false otherwise
+ * Convert a URL to a path in a mirror-style hierarchy of folders
  *
- * The function is loosely adapted from:
- * https://github.com/http-party/http-server/blob/cf17c2fe97342f6a268bfb8fc79a2b82464c4d25/lib/core/index.js#L135
- * Copyright (c) 2011-2021 Charlie Robbins, Marak Squires, Jade Michael Thornton and the Contributors.
- * Published under an MIT license: https://github.com/http-party/http-server/blob/master/LICENSE
+ * The path starts with the host, followed by the segments of the URL path.
+ * The last segment, followed by "@" and by the query string, if any, gives
+ * the name of the file. As escaped names never contain "@", the name of a
+ * file never conflicts with the name of a folder, e.g. for the URLs
+ * `https://example.org/a` (`example.org/a@`) and `https://example.org/a/b`
+ * (`example.org/a/b@`). The URL `https://example.org/a/` gives
+ * `example.org/a/@`.
  *
- * Adaptation includes giving priority to If-None-Match over If-Modified-Since
- * (per the HTTP spec), and handling list of values in If-None-Match header.
+ * Empty segments become "%". The protocol and the fragment are dropped, as
+ * in the flat layout.
  *
  * @function
- * @param {Array<string>} requestHeaders Request headers (case-insensitive)
- * @param {Array<string>} responseHeaders Headers from fetch response or cache (all lower-case)
- * @return {boolean} true when a 304 could be returned, false otherwise
+ * @param {String} url The URL to convert
+ * @return {String} The path, with "/" separators
  */
-function shouldReturn304(requestHeaders, responseHeaders) {
-  const requestEtags = (getHeaderValue(requestHeaders, 'If-None-Match') ?? '')
-    .split(',')
-    .map(value => value.trim())
-    .filter(value => !!value);
-  if (requestEtags.length > 0) {
-    const responseEtag = responseHeaders['etag'] ?? '';
-    return !!requestEtags.find(etag =>
-      (etag === responseEtag) ||
-      (etag === `W/${responseEtag}`) ||
-      (`W/${etag}` === responseEtag));
-  }
+function getMirrorPath(url) {
+  const parsed = new URL(url);
+  const segments = parsed.pathname.split('/').slice(1);
+  const filename = segments.pop();
+  return [parsed.host].concat(segments)
+    .map(segment => escapeMirrorName(segment) || '%')
+    .concat(escapeMirrorName(filename) + '@' +
+      escapeMirrorName(parsed.search.slice(1)))
+    .map(shardMirrorName)
+    .join('/');
+}
 
-  const requestKnownDate = getHeaderValue(requestHeaders, 'If-Modified-Since');
-  if (requestKnownDate) {
-    let knownDate;
-    // Catch "illegal access" dates that will crash v8
-    try {
-      knownDate = new Date(Date.parse(requestKnownDate));
-    } catch (err) {
-      return false;
-    }
-    if (knownDate.toString() === 'Invalid Date') {
-      return false;
+
+/**
+ * Compute the cache key of a request.
+ *
+ * The cache key of a GET request is derived from the URL, depending on the
+ * layout of the cache folder. In the flat layout, that is the filename of
+ * the URL, to remain compatible with existing cache folders. The cache key of
+ * other requests also includes the method and an MD5 checksum of the request
+ * body.
+ *
+ * @function
+ * @param {String} url The requested URL
+ * @param {String} method The HTTP method, upper-cased
+ * @param {Buffer} body The request body, null if there is none
+ * @param {String} layout The layout of the cache folder, `flat` by default
+ * @return {String} The cache key, a safe filename or path
+ */
+function getCacheKey(url, method, body, layout) {
+  let key = layouts[layout ?? 'flat'](url);
+  if ((method !== 'GET') || body) {
+    key += '-' + method.toLowerCase();
+    if (body) {
+      key += '-' + crypto.createHash('md5').update(body).digest('hex');
     }
-    // If the client's copy is older than the server's, don't return 304
-    return (knownDate >= new Date(responseHeaders['last-modified']));
   }
+  return key;
+}
 
-  return false;
+
+/**
+ * Compute the cache key of the variant of a response that varies on the
+ * given request headers.
+ *
+ * @function
+ * @param {String} key The cache key of the request
+ * @param {Array<String>} varyOn Lower-cased names of the request headers
+ *   listed in the Vary response header
+ * @param {Object} requestHeaders Request headers (case-insensitive)
+ * @return {String} The cache key of the variant
+ */
+function getVariantKey(key, varyOn, requestHeaders) {
+  const values = varyOn.map(name =>
+    name + ':' + (getHeaderValue(requestHeaders, name) ?? ''));
+  return key + '-vary-' +
+    crypto.createHash('md5').update(values.join('\n'), 'utf8').digest('hex');
 }
 
 
+/**
+ * Compute the cache key of a past version of a cache entry
+ *
+ * @function
+ * @param {String} key The cache key of the entry
+ * @param {Number} version The version number
+ * @return {String} The cache key of the version
+ */
+function getVersionKey(key, version) {
+  return key + '-version-' + version;
+}
+
 
 /**
- * Wrapper around the baseFetch function that returns the response from the
- * local cache if one is found.
+ * Parse a Vary header into a list of lower-cased header names
  *
- * TODO: use encoding specified in content-type header for file operations?
+ * @function
+ * @param {String} vary The value of the Vary header
+ * @return {Array<String>} The list of header names, sorted, empty if the
+ *   header is not set
+ */
+function parseVary(vary) {
+  return (vary ?? '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => !!name)
+    .sort();
+}
+
+
+/**
+ * Convert request headers to a plain object
  *
  * @function
- * @private
- * @param {String} url The URL to retrieve
- * @param {Object} options Fetch options, include specific HTTP headers to
- *   send along with the request.
- * @return {Promise<Response>} The promise to get an HTTP response
+ * @param {Headers|Array|Object} headers Request headers, in any of the forms
+ *   that `fetch` accepts
+ * @return {Object} A new object with one property per header
  */
-async function cacheFetch(url, options) {
-  // We may modify request options in place, let's make a shallow copy
-  options = Object.assign({}, options);
-  if (options.headers) {
-    options.headers = Object.assign({}, options.headers);
+function headersToObject(headers) {
+  if ((headers instanceof Headers) || Array.isArray(headers)) {
+    return Object.fromEntries(new Headers(headers));
   }
+  return Object.assign({}, headers);
+}
 
-  // Increment request counter and save it locally for logging purpose
-  counter += 1;
-  let requestId = counter;
 
-  // Specific parameters given in `options` override possible settings read
-  // from the `config.json` file.
-  // NB: `avoidNetworkRequests` and `forceRefresh` are deprecated but still
-  // supported. The `refresh` parameter should rather be used.
-  const config = {
-    cacheFolder: options.cacheFolder || globalConfig.cacheFolder,
-    resetCache: options.hasOwnProperty('resetCache') ?
-      options.resetCache :
-      globalConfig.resetCache,
-    refresh: globalConfig.refresh,
-    logToConsole: options.hasOwnProperty('logToConsole') ?
-      options.logToConsole :
-      globalConfig.logToConsole
-  };
-  if (options.hasOwnProperty('avoidNetworkRequests')) {
-    config.refresh = (options.avoidNetworkRequests ? 'never' : config.refresh);
+/**
+ * Read the request body to a buffer
+ *
+ * Strings, buffers and URL search params are converted directly. Other types
+ * of bodies (streams, blobs, form data) need to be consumed, in which case the
+ * returned object also contains the content type that `fetch` would have
+ * associated with the body.
+ *
+ * @function
+ * @param {*} body The request body, as passed to `fetch`
+ * @return {Promise<Object>} The promise to get an object with a `buffer`
+ *   property, and a `consumed` property set to true when the original body
+ *   can no longer be used, in which case the object also has a `contentType`
+ *   property. Resolves to null when there is no body.
+ */
+async function readRequestBody(body) {
+  if ((body === undefined) || (body === null)) {
+    return null;
   }
-  if (options.hasOwnProperty('forceRefresh')) {
-    config.refresh = (options.forceRefresh ? 'force' : config.refresh);
+  if (typeof body === 'string') {
+    return { buffer: Buffer.from(body, 'utf8') };
   }
-  if (options.hasOwnProperty('refresh')) {
-    config.refresh = options.refresh;
+  if (body instanceof URLSearchParams) {
+    return { buffer: Buffer.from(body.toString(), 'utf8') };
   }
-  // Requesting agent may be cache-aware, in which case we will return a 304
-  // when resource has not been modified.
-  const isRequestCacheAware =
-    getHeaderValue(options.headers, 'If-None-Match') ||
-    getHeaderValue(options.headers, 'If-Modified-Since');
+  if (body instanceof ArrayBuffer) {
+    return { buffer: Buffer.from(body) };
+  }
+  if (ArrayBuffer.isView(body)) {
+    return { buffer: Buffer.from(body.buffer, body.byteOffset, body.byteLength) };
+  }
+  const response = new Response(body);
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    consumed: true,
+    contentType: response.headers.get('content-type')
+  };
+}
 
-  const cacheFilename = path.join(config.cacheFolder, filenamify(url));
-  const cacheHeadersFilename = cacheFilename + '.headers';
 
-  if (config.resetCache && !cacheFolderReset[config.cacheFolder]) {
-    cacheFolderReset[config.cacheFolder] = true;
-    await rimraf(config.cacheFolder + '/*', { glob: true });
-  }
+/**
+ * Sleep during the provided number of ms
+ *
+ * @function
+ * @param {Number} ms Number of milliseconds to sleep
+ * @return {Promise} promise to sleep during the provided number of ms
+ */
+async function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-  function log(msg) {
-    if (!config.logToConsole) return;
-    console.log(requestId + ' - ' + msg);
-  }
 
-  /**
-   * Look at HTTP headers, current time and refresh strategy to determine whether
-   * cached content has expired
-   *
-   * @function
-   * @param {Object} headers HTTP headers received last time
-   * @param {String|Integer} refresh Refresh strategy
-   * @return {Boolean} true if cached content has expired (or does not exist),
-   *   false when it can still be returned.
-   */
-  function hasExpired(headers, refresh) {
-    if (!headers) {
-      log('response is not in cache');
-      return true;
+/**
+ * Convert a glob pattern to a regular expression
+ *
+ * In the pattern, `**` matches any sequence of characters, `*` matches any
+ * sequence of characters except `/`, and `?` matches any character except
+ * `/`.
+ *
+ * @function
+ * @param {String} glob The glob pattern
+ * @return {RegExp} The regular expression that matches the whole pattern
+ */
+function globToRegExp(glob) {
+  const wildcards = { '**': '.*', '*': '[^/]*', '?': '[^/]' };
+  const source = glob.split(/(\*\*|\*|\?)/)
+    .map(token => wildcards[token] ??
+      token.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+  return new RegExp('^' + source + '$');
+}
+
+
+/**
+ * Return the default settings for the given URL
+ *
+ * Rules are evaluated in order, and the settings of the first rule whose
+ * `match` property matches the URL override global settings. The `match`
+ * property may be a glob pattern, a regular expression or a `URLPattern`.
+ *
+ * @function
+ * @param {Object} globalConfig Global settings of the fetch instance
+ * @param {String} url The requested URL
+ * @param {Object} options Request options, the `rules` property of which
+ *   overrides global rules
+ * @return {Object} Global settings, merged with the settings of the matching
+ *   rule, if any
+ */
+function getUrlDefaults(globalConfig, url, options) {
+  const rules = options?.hasOwnProperty('rules') ? options.rules : globalConfig.rules;
+  const rule = (rules ?? []).find(rule => {
+    if (typeof rule.match === 'string') {
+      return globToRegExp(rule.match).test(url);
     }
-    if (refresh === 'force') {
-      log('response in cache but refresh requested');
-      return true;
+    else if (typeof rule.match?.test === 'function') {
+      return rule.match.test(url);
     }
-    if (refresh === 'never') {
-      log('response in cache and considered to be always valid');
-      return false;
+    else {
+      throw new Error('Invalid rule, "match" must be a glob pattern, a regular expression or a URLPattern');
     }
-
-    let received = new Date(
-      headers.received || headers.date || 'Jan 1, 1970, 00:00:00.000 GMT');
-    received = received.getTime();
-    if (refresh === 'once') {
-      if (received < launchTime) {
-        log('response in cache but one refresh requested');
-        return true;
-      }
-      else {
-        log('response in cache and already refreshed once')
-        return false;
+  });
+  const defaults = Object.assign({}, globalConfig);
+  if (rule) {
+    for (const [name, value] of Object.entries(rule)) {
+      if ((name !== 'match') && (name !== 'rules')) {
+        defaults[name] = value;
       }
     }
+  }
+  return defaults;
+}
 
-    let now = Date.now();
-    if (Number.isInteger(refresh)) {
-      if (received + refresh * 1000 < now) {
-        log('response in cache is older than requested duration');
-        return true;
-      }
-      else {
-        log('response in cache is fresh enough for requested duration');
-        return false;
-      }
-    }
 
-    // Apply HTTP expiration rules otherwise
-    if (headers.expires) {
-      try {
-        let expires = (new Date(headers.expires)).getTime();
-        if (expires < now) {
-          log('response in cache has expired');
-          return true;
-        }
-        else {
-          log('response in cache is still valid');
-          return false;
-        }
+/**
+ * Check that the values of known parameters are valid
+ *
+ * @function
+ * @param {Object} config The parameters to check
+ * @param {String} source Where the parameters come from, for error messages.
+ *   When set, unknown parameters are reported as well.
+ */
+function validateConfig(config, source) {
+  const isCount = value => Number.isInteger(value) && (value >= 0);
+  const isDuration = value => (typeof value === 'number') && (value >= 0);
+  const isPositiveDuration = value => (typeof value === 'number') && (value > 0);
+  const isBoolean = value => typeof value === 'boolean';
+  const isList = value => Array.isArray(value);
+  const isObject = value => (typeof value === 'object') && (value !== null);
+  const validators = {
+    cacheFolder: value => (typeof value === 'string') && (value !== ''),
+    layout: value => (value === null) || layouts.hasOwnProperty(value),
+    storage: value => (value === null) || isObject(value),
+    resetCache: isBoolean,
+    refresh: value => refreshStrategies.includes(value) || isCount(value),
+    staleIfError: value => isBoolean(value) || isCount(value),
+    sharedCache: isBoolean,
+    maxCacheSize: isCount,
+    maxEntryAge: isDuration,
+    checkIntegrity: value => isBoolean(value) || (value === 'size'),
+    compression: value => (value === false) || bodyEncodings.hasOwnProperty(value),
+    compressionThreshold: isCount,
+    deduplicate: isBoolean,
+    keepVersions: isCount,
+    useLocks: isBoolean,
+    lockStaleTimeout: isPositiveDuration,
+    retries: isCount,
+    retryDelay: isDuration,
+    retryMaxDelay: isDuration,
+    retryStatuses: isList,
+    retryErrorCodes: value => (value === null) || isList(value),
+    shouldRetry: value => (value === null) || (typeof value === 'function'),
+    maxConcurrentRequests: isCount,
+    requestDelay: isDuration,
+    maxRetryAfter: isDuration,
+    hosts: isObject,
+    useCache: isBoolean,
+    rules: isList,
+    logToConsole: isBoolean
+  };
+  for (const [name, value] of Object.entries(config)) {
+    if (!validators.hasOwnProperty(name)) {
+      if (source) {
+        throw new Error('Unknown parameter "' + name + '" in ' + source);
       }
-      catch (err) {}
     }
-
-    if (headers['cache-control']) {
-      try {
-        let tokens = headers['cache-control'].split(',')
-          .map(token => token.split('='));
-        for (token of tokens) {
-          let param = token[0].trim();
-          if (param === 'no-cache') {
-            log('response in cache but no-cache directive');
-            return true;
-          }
-          else if (param === 'max-age') {
-            let maxAge = parseInt(token[1], 10);
-            if (received + maxAge * 1000 < now) {
-              log('response in cache has expired');
-              return true;
-            }
-            else {
-              log('response in cache is still valid');
-              return false;
-            }
-          }
-        }
-      }
-      catch (err) {}
+    else if ((value !== undefined) && !validators[name](value)) {
+      throw new Error('Invalid value for parameter "' + name + '"' +
+        (source ? ' in ' + source : '') + ': ' + JSON.stringify(value));
     }
-
-    // Cannot tell? Let's refresh the cache
-    log('response in cache has expired (no explicit directive)');
-    return true;
   }
+}
 
 
-  async function checkCacheFolder() {
+/**
+ * Read the project configuration, from the `fetch-filecache.config.json` file
+ * in the given folder if it exists, or from the `fetch-filecache` key of the
+ * `package.json` file in that folder otherwise.
+ *
+ * @function
+ * @param {String} folder The project folder
+ * @return {Object} The parameters set in the project configuration
+ */
+function readProjectConfig(folder) {
+  function readJSON(filename) {
+    let contents;
     try {
-      let stat = await fs.promises.stat(config.cacheFolder);
-      if (!stat.isDirectory()) {
-        throw new Error('Looking for a cache folder but found a cache file instead');
-      }
+      contents = fs.readFileSync(filename, 'utf8');
     }
     catch (err) {
-      // Create the folder if it does not exist yet
-      if (err.code !== 'ENOENT') {
-        throw err;
-      }
-      try {
-        await fs.promises.mkdir(config.cacheFolder);
-      }
-      catch (mkerr) {
-        // Someone may have created the folder in the meantime
-        if (mkerr.code !== 'EEXIST') {
-          throw mkerr;
-        }
+      if (err.code === 'ENOENT') {
+        return null;
       }
+      throw err;
     }
-  }
-
-  function isFetchPending() {
-    return !!pendingFetches[url];
-  }
-
-  async function pendingFetchIsOver() {
-    if (pendingFetches[url]) {
-      log('wait for pending request');
-      await pendingFetches[url].promise;
+    try {
+      return JSON.parse(contents);
     }
-    else {
-      throw new Error('There was no pending request');
+    catch (err) {
+      throw new Error('Invalid JSON in ' + filename + ': ' + err.message);
+    }
+  }
+
+  const configFile = path.join(folder, configFilename);
+  const config = readJSON(configFile);
+  if (config) {
+    validateConfig(config, configFile);
+    return config;
+  }
+  const packageFile = path.join(folder, 'package.json');
+  const packageConfig = readJSON(packageFile)?.[packageConfigKey];
+  if (packageConfig) {
+    validateConfig(packageConfig, packageFile);
+    return packageConfig;
+  }
+  return {};
+}
+
+
+/**
+ * Read the parameters set through environment variables
+ *
+ * @function
+ * @param {Object} env Environment variables
+ * @return {Object} The parameters set through environment variables
+ */
+function readEnvConfig(env) {
+  const config = {};
+  for (const [variable, { name, parse }] of Object.entries(envParameters)) {
+    const value = env[variable];
+    if (value) {
+      config[name] = parse(value);
+      validateConfig({ [name]: config[name] }, 'environment variable ' + variable);
+    }
+  }
+  return config;
+}
+
+
+/**
+ * Return the throttling parameters that apply to network requests sent to
+ * the given host
+ *
+ * @function
+ * @param {String} host The host, with the port if there is one
+ * @param {Object} config Configuration, with `maxConcurrentRequests`,
+ *   `requestDelay`, `maxRetryAfter` and `hosts` properties
+ * @return {Object} An object with `maxConcurrentRequests`, `requestDelay` and
+ *   `maxRetryAfter` properties
+ */
+function getHostParameters(host, config) {
+  const hostname = host.replace(/:\d+$/, '');
+  const hostConfig = config.hosts?.[host] ?? config.hosts?.[hostname] ?? {};
+  const res = {};
+  for (const param of ['maxConcurrentRequests', 'requestDelay', 'maxRetryAfter']) {
+    res[param] = hostConfig.hasOwnProperty(param) ? hostConfig[param] : config[param];
+  }
+  return res;
+}
+
+
+/**
+ * Wait until a network request may be sent to the given host
+ *
+ * The function waits until the number of requests in flight to the host is
+ * below the maximum number of concurrent requests, until the requested delay
+ * since the previous request to the host has elapsed, and until the end of
+ * the period during which the host asked us to pause, if any.
+ *
+ * @function
+ * @param {Object} hostThrottles Throttling state, per host
+ * @param {String} host The host, with the port if there is one
+ * @param {Object} params Throttling parameters, see getHostParameters
+ * @return {Promise<function>} The promise to get a function to call to
+ *   release the request slot once the request is over
+ */
+async function acquireHostSlot(hostThrottles, host, params) {
+  if (!hostThrottles[host]) {
+    hostThrottles[host] = { running: 0, queue: [], nextTime: 0, pausedUntil: 0 };
+  }
+  const throttle = hostThrottles[host];
+  if (!params.maxConcurrentRequests || (throttle.running < params.maxConcurrentRequests)) {
+    throttle.running += 1;
+  }
+  else {
+    // The slot gets handed over directly by the request that releases it
+    await new Promise(resolve => throttle.queue.push(resolve));
+  }
+
+  const now = Date.now();
+  const wait = throttle.nextTime - now;
+  throttle.nextTime = Math.max(now, throttle.nextTime) + (params.requestDelay || 0);
+  if (wait > 0) {
+    await sleep(wait);
+  }
+  while (throttle.pausedUntil > Date.now()) {
+    await sleep(throttle.pausedUntil - Date.now());
+  }
+
+  let released = false;
+  return function () {
+    if (released) {
+      return;
+    }
+    released = true;
+    const next = throttle.queue.shift();
+    if (next) {
+      next();
+    }
+    else {
+      throttle.running -= 1;
+    }
+  };
+}
+
+
+/**
+ * Hold a request slot until the body of the response has been read
+ *
+ * The slot is released when the body has been read entirely, when reading
+ * the body fails, or when the body gets cancelled. It is released right away
+ * when the response has no body.
+ *
+ * @function
+ * @param {Response} response The network response
+ * @param {function} release The function that releases the request slot,
+ *   see acquireHostSlot
+ * @param {function} onData Function called with the number of bytes of each
+ *   chunk of the body that gets read
+ * @return {Response} A response that releases the slot once its body is over
+ */
+function releaseAfterBody(response, release, onData) {
+  if (!response.body || nullBodyStatuses.includes(response.status)) {
+    release();
+    return response;
+  }
+  const reader = response.body.getReader();
+  const body = new ReadableStream({
+    async pull(controller) {
+      let chunk;
+      try {
+        chunk = await reader.read();
+      }
+      catch (err) {
+        release();
+        controller.error(err);
+        return;
+      }
+      if (chunk.done) {
+        release();
+        controller.close();
+      }
+      else {
+        onData(chunk.value.byteLength);
+        controller.enqueue(chunk.value);
+      }
+    },
+    cancel(reason) {
+      release();
+      return reader.cancel(reason);
+    }
+  });
+  const res = new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+  return setResponseUrl(res, response.url, response.redirected);
+}
+
+
+/**
+ * Return the delay to wait for before the next attempt to fetch a resource
+ *
+ * The delay grows exponentially with the number of attempts, up to the
+ * maximum delay, and a random jitter is applied so that requests that failed
+ * at the same time do not get retried at the same time.
+ *
+ * @function
+ * @param {Number} attempt The number of attempts made so far
+ * @param {Object} config Configuration, with `retryDelay` and `retryMaxDelay`
+ *   properties, in milliseconds
+ * @return {Number} The delay, in milliseconds
+ */
+function getRetryDelay(attempt, config) {
+  const delay = Math.min(config.retryMaxDelay,
+    config.retryDelay * Math.pow(2, attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+
+/**
+ * Return the code of a network error
+ *
+ * Native `fetch` rejects with a generic `TypeError` whose `cause` contains
+ * the actual error, e.g. with an `ECONNRESET` code.
+ *
+ * @function
+ * @param {Error} err The error
+ * @return {String} The error code, null if the error does not have one
+ */
+function getErrorCode(err) {
+  return err.cause?.code ?? err.code ?? null;
+}
+
+
+/**
+ * Parse the value of a Retry-After header
+ *
+ * @function
+ * @param {String} value The value of the header, either a number of seconds
+ *   or an HTTP date
+ * @return {Number} The number of seconds to wait, null if the value is not
+ *   valid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  value = value.trim();
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  const date = Date.parse(value);
+  if (isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, (date - Date.now()) / 1000);
+}
+
+
+/**
+ * Parse the value of a Range request header against a body of the given size
+ *
+ * Only single byte ranges are supported. Requests for multiple ranges get
+ * ignored, which HTTP allows.
+ *
+ * @function
+ * @param {String} value The value of the Range header
+ * @param {Number} size The size of the body in bytes
+ * @return {Object} An object with the `start` and `end` positions (inclusive)
+ *   of the range, an object with an `unsatisfiable` property set to `true` if
+ *   the range does not overlap the body, or null if the header should be
+ *   ignored
+ */
+function parseRange(value, size) {
+  const match = /^\s*bytes\s*=\s*(\d*)\s*-\s*(\d*)\s*$/i.exec(value || '');
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+  let start;
+  let end;
+  if (!match[1]) {
+    // Suffix range, e.g. "bytes=-500" for the last 500 bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) {
+      return { unsatisfiable: true };
+    }
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  }
+  else {
+    start = parseInt(match[1], 10);
+    end = match[2] ? parseInt(match[2], 10) : Infinity;
+    if (end < start) {
+      return null;
+    }
+    end = Math.min(end, size - 1);
+  }
+  if (start >= size) {
+    return { unsatisfiable: true };
+  }
+  return { start, end };
+}
+
+
+/**
+ * Return the validator to send in an If-Range header to resume the download
+ * of a response
+ *
+ * Downloads can only be resumed when the response has a strong ETag or a
+ * Last-Modified date, and when the body is not content-encoded, since ranges
+ * apply to encoded bytes whereas `fetch` decodes the body.
+ *
+ * @function
+ * @param {Headers} headers Response headers
+ * @return {String} The validator, null if the download cannot be resumed
+ */
+function getRangeValidator(headers) {
+  const encoding = headers.get('content-encoding');
+  if ((encoding && (encoding.trim().toLowerCase() !== 'identity')) ||
+      (headers.get('accept-ranges')?.trim().toLowerCase() === 'none')) {
+    return null;
+  }
+  const etag = headers.get('etag');
+  if (etag && !etag.startsWith('W/')) {
+    return etag;
+  }
+  return headers.get('last-modified') || null;
+}
+
+
+/**
+ * Return the value of the given HTTP header
+ *
+ * The function performs a case-insensitive search for the request HTTP header
+ * name in the given list of HTTP headers.
+ *
+ * @function
+ * @param {Object} headers HTTP headers
+ * @param {string} name HTTP header name to look for
+ * @return {string} HTTP header value or null if header is not set.
+ */
+function getHeaderValue(headers, name) {
+  if (!headers) {
+    return null;
+  }
+  const lname = name.toLowerCase();
+  const key = Object.keys(headers).find(h => h.toLowerCase() === lname);
+  return key ? headers[key] : null;
+}
+
+
+/**
+ * Parse a Cache-Control header into an object
+ *
+ * Directive names are lower-cased. Directives that have an argument are
+ * associated with that argument (without quotes), others with `true`.
+ *
+ * @function
+ * @param {String} value The value of the Cache-Control header
+ * @return {Object} An object with one property per directive, empty if the
+ *   header is not set
+ */
+function parseCacheControl(value) {
+  const directives = {};
+  (value ?? '').split(',').forEach(token => {
+    const [name, ...arg] = token.split('=');
+    const directive = name.trim().toLowerCase();
+    if (directive) {
+      directives[directive] = (arg.length > 0) ?
+        arg.join('=').trim().replace(/^"(.*)"$/, '$1') :
+        true;
+    }
+  });
+  return directives;
+}
+
+
+/**
+ * Parse a delta-seconds value used in Cache-Control directives and in the Age
+ * header, see:
+ * https://www.rfc-editor.org/rfc/rfc9111#name-delta-seconds
+ *
+ * @function
+ * @param {String} value The value to parse
+ * @return {Number} The number of seconds, null if the value is not a valid
+ *   delta-seconds value
+ */
+function parseDeltaSeconds(value) {
+  if ((typeof value !== 'string') || !value.match(/^\d+$/)) {
+    return null;
+  }
+  return Math.min(parseInt(value, 10), 2147483648);
+}
+
+
+/**
+ * Compute the current age and the freshness lifetime of a cached response
+ * following HTTP caching rules, see:
+ * https://www.rfc-editor.org/rfc/rfc9111#name-freshness
+ *
+ * The `received` property, set when the response was stored or revalidated,
+ * is used as response time.
+ *
+ * The freshness lifetime is computed from the `s-maxage` directive (for shared
+ * caches only), the `max-age` directive, or the `Expires` header, in that
+ * order. When none of them is set, a heuristic freshness lifetime is computed
+ * from the `Last-Modified` header for responses that are heuristically
+ * cacheable.
+ *
+ * @function
+ * @param {Object} headers HTTP headers of the cached response
+ * @param {Boolean} sharedCache Whether the cache behaves as a shared cache
+ * @return {Object} An object with an `age` property and a `lifetime` property,
+ *   both expressed in seconds
+ */
+function getFreshness(headers, sharedCache) {
+  const directives = parseCacheControl(headers['cache-control']);
+  const received = (new Date(
+    headers.received || headers.date || 'Jan 1, 1970, 00:00:00.000 GMT')).getTime();
+  let date = Date.parse(headers.date);
+  if (isNaN(date)) {
+    date = received;
+  }
+
+  const apparentAge = Math.max(0, (received - date) / 1000);
+  const correctedInitialAge = Math.max(apparentAge, parseDeltaSeconds(headers.age) ?? 0);
+  const residentTime = (Date.now() - received) / 1000;
+  const age = correctedInitialAge + residentTime;
+
+  let lifetime = 0;
+  if (sharedCache && directives.hasOwnProperty('s-maxage')) {
+    lifetime = parseDeltaSeconds(directives['s-maxage']) ?? 0;
+  }
+  else if (directives.hasOwnProperty('max-age')) {
+    lifetime = parseDeltaSeconds(directives['max-age']) ?? 0;
+  }
+  else if (headers.expires) {
+    // Invalid dates mean that the response has already expired
+    const expires = Date.parse(headers.expires);
+    lifetime = isNaN(expires) ? 0 : Math.max(0, (expires - date) / 1000);
+  }
+  else if (permanentRedirectStatuses.includes(headers.status) &&
+      !directives['no-cache']) {
+    // Permanent redirects do not need to be checked often
+    lifetime = heuristicFreshnessMaxLifetime;
+  }
+  else if (headers['last-modified']) {
+    const lastModified = Date.parse(headers['last-modified']);
+    if (!isNaN(lastModified) &&
+        (directives.public || heuristicallyCacheableStatuses.includes(headers.status || 200))) {
+      lifetime = Math.min(
+        heuristicFreshnessMaxLifetime,
+        Math.max(0, heuristicFreshnessFactor * (date - lastModified) / 1000));
+    }
+  }
+
+  return { age, lifetime };
+}
+
+
+/**
+ * Return the number of seconds since the cached response became stale
+ *
+ * @function
+ * @param {Object} headers HTTP headers of the cached response
+ * @param {Boolean} sharedCache Whether the cache behaves as a shared cache
+ * @return {Number} Number of seconds since the response became stale, 0 if
+ *   the response is still fresh
+ */
+function getStaleness(headers, sharedCache) {
+  const { age, lifetime } = getFreshness(headers, sharedCache);
+  return Math.max(0, age - lifetime);
+}
+
+
+/**
+ * Look at HTTP headers, current time and refresh strategy to determine whether
+ * cached content has expired
+ *
+ * @function
+ * @param {Object} headers HTTP headers received last time
+ * @param {String|Integer} refresh Refresh strategy
+ * @param {Object} options Optional parameters: `requestHeaders` (request
+ *   headers, case-insensitive), `sharedCache` (whether the cache behaves as a
+ *   shared cache), `launchTime` (timestamp from which `once` entries are
+ *   considered to be refreshed) and `log` (function to call to report
+ *   progress)
+ * @return {Boolean} true if cached content has expired (or does not exist),
+ *   false when it can still be returned.
+ */
+function hasExpired(headers, refresh, options) {
+  const { requestHeaders, sharedCache, launchTime } = options ?? {};
+  const log = options?.log ?? (_ => {});
+
+  if (!headers) {
+    log('response is not in cache');
+    return true;
+  }
+  if (refresh === 'force') {
+    log('response in cache but refresh requested');
+    return true;
+  }
+  if ((refresh === 'never') || (refresh === 'offline')) {
+    log('response in cache and considered to be always valid');
+    return false;
+  }
+
+  let received = new Date(
+    headers.received || headers.date || 'Jan 1, 1970, 00:00:00.000 GMT');
+  received = received.getTime();
+  if ((refresh === 'once') || (refresh === 'record')) {
+    // Received dates only have a resolution of one second
+    if (received < launchTime - (launchTime % 1000)) {
+      log('response in cache but one refresh requested');
+      return true;
+    }
+    else {
+      log('response in cache and already refreshed once')
+      return false;
+    }
+  }
+
+  let now = Date.now();
+  if (Number.isInteger(refresh)) {
+    if (received + refresh * 1000 < now) {
+      log('response in cache is older than requested duration');
+      return true;
+    }
+    else {
+      log('response in cache is fresh enough for requested duration');
+      return false;
+    }
+  }
+
+  // Apply HTTP expiration rules otherwise, see:
+  // https://www.rfc-editor.org/rfc/rfc9111#name-freshness
+  const responseDirectives = parseCacheControl(headers['cache-control']);
+  const requestDirectives = parseCacheControl(
+    getHeaderValue(requestHeaders, 'Cache-Control'));
+  const { age, lifetime } = getFreshness(headers, sharedCache);
+
+  if (responseDirectives['no-cache']) {
+    log('response in cache but no-cache directive');
+    return true;
+  }
+
+  // Fresh immutable responses do not need to be revalidated, even when the
+  // request asks for it, see:
+  // https://www.rfc-editor.org/rfc/rfc8246
+  if (!responseDirectives.immutable || (age >= lifetime)) {
+    if (requestDirectives['no-cache']) {
+      log('response in cache but no-cache request directive');
+      return true;
+    }
+    const maxAge = parseDeltaSeconds(requestDirectives['max-age']);
+    if ((maxAge !== null) && (age > maxAge)) {
+      log('response in cache is older than max-age request directive');
+      return true;
+    }
+  }
+
+  const minFresh = parseDeltaSeconds(requestDirectives['min-fresh']);
+  if ((minFresh !== null) && (lifetime - age < minFresh)) {
+    log('response in cache will not be fresh long enough for min-fresh request directive');
+    return true;
+  }
+
+  if (age < lifetime) {
+    log('response in cache is still valid');
+    return false;
+  }
+
+  // Stale responses may still be used if the request allows it, unless the
+  // response must be revalidated
+  const mustRevalidate = responseDirectives['must-revalidate'] ||
+    (sharedCache &&
+      (responseDirectives['proxy-revalidate'] || responseDirectives['s-maxage']));
+  if (requestDirectives['max-stale'] && !mustRevalidate) {
+    const maxStale = parseDeltaSeconds(requestDirectives['max-stale']);
+    if ((maxStale === null) || (age - lifetime <= maxStale)) {
+      log('response in cache has expired but max-stale request directive allows it');
+      return false;
+    }
+  }
+
+  log('response in cache has expired');
+  return true;
+}
+
+
+/**
+ * Return the remaining freshness lifetime of a cached response, as computed
+ * by the given refresh strategy
+ *
+ * @function
+ * @param {Object} headers Headers of the cached response
+ * @param {String|Integer} refresh Refresh strategy
+ * @param {Boolean} sharedCache Whether the cache behaves as a shared cache
+ * @return {Number} The remaining freshness lifetime in seconds, negative if
+ *   the response is stale, undefined when the refresh strategy does not
+ *   define a lifetime
+ */
+function getTtl(headers, refresh, sharedCache) {
+  if (refresh === 'default') {
+    const { age, lifetime } = getFreshness(headers, sharedCache);
+    return lifetime - age;
+  }
+  if (Number.isInteger(refresh)) {
+    const received = (new Date(
+      headers.received || headers.date || 'Jan 1, 1970, 00:00:00.000 GMT')).getTime();
+    return refresh - (Date.now() - received) / 1000;
+  }
+  return undefined;
+}
+
+
+/**
+ * Serialize a Cache-Status header value, as defined in:
+ * https://www.rfc-editor.org/rfc/rfc9211.html
+ *
+ * @function
+ * @param {Object} params Cache-Status parameters: `hit` (Boolean), `fwd`
+ *   (forward reason), `fwdStatus` (status returned by the server), `ttl`
+ *   (in seconds), `stored` (Boolean), `collapsed` (Boolean) and `detail`
+ * @return {String} The Cache-Status header value
+ */
+function formatCacheStatus(params) {
+  const parts = [cacheStatusName];
+  if (params.hit) {
+    parts.push('hit');
+  }
+  if (params.fwd) {
+    parts.push('fwd=' + params.fwd);
+  }
+  if (params.fwdStatus) {
+    parts.push('fwd-status=' + params.fwdStatus);
+  }
+  if (Number.isFinite(params.ttl)) {
+    parts.push('ttl=' + Math.round(params.ttl));
+  }
+  if (params.stored) {
+    parts.push('stored');
+  }
+  if (params.collapsed) {
+    parts.push('collapsed');
+  }
+  if (params.detail !== undefined) {
+    // Numbers are not valid tokens and need to be serialized as strings
+    parts.push('detail=' + (typeof params.detail === 'number' ?
+      '"' + params.detail + '"' :
+      params.detail));
+  }
+  return parts.join('; ');
+}
+
+
+/**
+ * Parse the parameters that this cache set in a Cache-Status header value
+ *
+ * @function
+ * @param {String} value The Cache-Status header value
+ * @return {Object} An object with the parameters, e.g. `{ fwd: 'miss',
+ *   'fwd-status': '200', stored: true }`, or null if the value does not have
+ *   an entry for this cache
+ */
+function parseCacheStatus(value) {
+  const entry = (value ?? '').split(',')
+    .map(member => member.split(';').map(part => part.trim()))
+    .find(parts => parts[0] === cacheStatusName);
+  if (!entry) {
+    return null;
+  }
+  const params = {};
+  for (const param of entry.slice(1)) {
+    const [name, paramValue] = param.split(/=(.*)/s);
+    params[name] = (paramValue === undefined) ? true :
+      paramValue.replace(/^"(.*)"$/s, '$1');
+  }
+  return params;
+}
+
+
+/**
+ * Create a copy of a network response with a Cache-Status header
+ *
+ * Headers of responses returned by `fetch` cannot be modified.
+ *
+ * @function
+ * @param {Response} response The network response
+ * @param {Object} params Cache-Status parameters, see formatCacheStatus
+ * @return {Response} The response with a Cache-Status header
+ */
+function setCacheStatus(response, params) {
+  const headers = new Headers(response.headers);
+  headers.set('cache-status', formatCacheStatus(params));
+  const res = new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+  return setResponseUrl(res, response.url, response.redirected);
+}
+
+
+/**
+ * Set the URL and redirection status of a response
+ *
+ * The Response constructor does not let us set these properties, which are
+ * read-only. They get overridden on the response object instead.
+ *
+ * @function
+ * @param {Response} response The response to update
+ * @param {String} url The URL of the response
+ * @param {Boolean} redirected Whether the response is the result of a
+ *   redirect
+ * @return {Response} The updated response
+ */
+function setResponseUrl(response, url, redirected) {
+  Object.defineProperty(response, 'url', { value: url, configurable: true });
+  Object.defineProperty(response, 'redirected', { value: redirected, configurable: true });
+  return response;
+}
+
+
+/**
+ * Report a warning about the cache
+ *
+ * @function
+ * @param {String} msg The warning message
+ */
+function warn(msg) {
+  process.emitWarning(msg, 'FetchFilecacheWarning');
+}
+
+
+/**
+ * Compute the digest of a body, in the format used to record it in headers
+ * files
+ *
+ * @function
+ * @param {Hash} hash A SHA-256 hash object that was fed with the body
+ * @return {String} The digest
+ */
+function formatDigest(hash) {
+  return 'sha256-' + hash.digest('base64');
+}
+
+
+/**
+ * Return the digest of the uncompressed body of a cache entry
+ *
+ * @function
+ * @param {Object} headers Headers of the cache entry
+ * @return {String} The digest, undefined if the entry does not record it
+ */
+function getContentDigest(headers) {
+  return headers.bodyEncoding ? headers.bodyDecodedDigest : headers.bodyDigest;
+}
+
+
+/**
+ * Return true if responses of the given content type should be compressed
+ *
+ * @function
+ * @param {String} contentType The value of the Content-Type header
+ * @return {Boolean} true when the type is a textual type
+ */
+function isCompressibleType(contentType) {
+  const type = (contentType ?? '').split(';')[0].trim().toLowerCase();
+  return type.startsWith('text/') ||
+    type.endsWith('+json') || type.endsWith('+xml') ||
+    compressibleTypes.includes(type);
+}
+
+
+/**
+ * Compress the chunks of a body, provided that the body is longer than the
+ * given threshold.
+ *
+ * The returned object has a `chunks` property that contains the chunks to
+ * store, and an `encoding` property that gets set to the encoding that was
+ * used once the chunks have been consumed, or that remains `null` if the body
+ * was too short to be compressed.
+ *
+ * @function
+ * @param {AsyncIterable<Uint8Array>} chunks The chunks of the body
+ * @param {String} encoding The compressed encoding to use, `gzip` or `br`
+ * @param {Number} threshold Minimum length of the body to compress it, in
+ *   bytes
+ * @return {Object} An object with `chunks` and `encoding` properties
+ */
+function compressBody(chunks, encoding, threshold) {
+  const res = { encoding: null };
+  res.chunks = (async function* () {
+    // Buffer the first chunks until we know whether the body is long enough
+    const iterator = chunks[Symbol.asyncIterator]();
+    const buffered = [];
+    let length = 0;
+    while (length < threshold) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        yield* buffered;
+        return;
+      }
+      buffered.push(value);
+      length += value.length;
+    }
+
+    res.encoding = encoding;
+    const source = stream.Readable.from((async function* () {
+      yield* buffered;
+      while (true) {
+        const { value, done } = await iterator.next();
+        if (done) {
+          return;
+        }
+        yield value;
+      }
+    })());
+    yield* stream.pipeline(source, bodyEncodings[encoding].compress(), () => {});
+  })();
+  return res;
+}
+
+
+/**
+ * Decompress a body that was stored with the given encoding
+ *
+ * @function
+ * @param {Readable} readable The stored body
+ * @param {String} encoding The encoding of the stored body, if any
+ * @return {Readable} The decompressed body
+ */
+function decompressBody(readable, encoding) {
+  if (!encoding) {
+    return readable;
+  }
+  if (!bodyEncodings[encoding]) {
+    throw new Error('Unknown body encoding ' + encoding);
+  }
+  return stream.pipeline(readable, bodyEncodings[encoding].decompress(), () => {});
+}
+
+
+/**
+ * Extract a range of bytes from a body
+ *
+ * @function
+ * @param {AsyncIterable<Uint8Array>} chunks The chunks of the body
+ * @param {Number} start Position of the first byte to return
+ * @param {Number} end Position of the last byte to return (inclusive)
+ * @return {AsyncIterable<Uint8Array>} The chunks of the range
+ */
+async function* sliceBody(chunks, start, end) {
+  let position = 0;
+  for await (const chunk of chunks) {
+    const chunkStart = Math.max(start - position, 0);
+    const chunkEnd = Math.min(end + 1 - position, chunk.length);
+    if (chunkStart < chunkEnd) {
+      yield chunk.subarray(chunkStart, chunkEnd);
+    }
+    position += chunk.length;
+    if (position > end) {
+      return;
+    }
+  }
+}
+
+
+/**
+ * Check that the body of a cache entry matches the length and digest recorded
+ * in its headers.
+ *
+ * Entries created by previous versions of the module do not record a length
+ * and digest and cannot be checked.
+ *
+ * @function
+ * @param {Object} storage The storage backend
+ * @param {String} key The cache key of the entry
+ * @param {Object} headers Headers of the entry
+ * @param {Boolean|String} level `true` to check length and digest, `'size'`
+ *   to only check the length, `false` not to check anything
+ * @return {Promise<String>} The promise to get a description of the problem,
+ *   null if the entry could not be found to be corrupted
+ */
+async function checkCacheEntryIntegrity(storage, key, headers, level) {
+  if (!level || !Number.isInteger(headers.bodyLength)) {
+    return null;
+  }
+  key = headers.bodyKey ?? key;
+  let size;
+  try {
+    size = await storage.getBodySize(key);
+  }
+  catch (err) {
+    return 'body cannot be read';
+  }
+  if (size !== headers.bodyLength) {
+    return 'body is ' + size + ' bytes long instead of ' + headers.bodyLength;
+  }
+  if ((level === 'size') || !headers.bodyDigest) {
+    return null;
+  }
+  const hash = crypto.createHash('sha256');
+  await pipeline(await storage.getBody(key), hash);
+  if (formatDigest(hash) !== headers.bodyDigest) {
+    return 'body digest does not match';
+  }
+  return null;
+}
+
+
+/**
+ * Return the storage backend to use
+ *
+ * @function
+ * @param {Object} config Configuration, with `storage`, `cacheFolder` and
+ *   `layout` properties
+ * @return {Object} The storage backend set in the configuration, or the file
+ *   storage for the cache folder
+ */
+function getStorage(config) {
+  if (config.storage) {
+    return config.storage;
+  }
+  if (!fileStorages[config.cacheFolder]) {
+    fileStorages[config.cacheFolder] = new FileStorage(config.cacheFolder,
+      { layout: config.layout });
+  }
+  const storage = fileStorages[config.cacheFolder];
+  if (!layouts.hasOwnProperty(storage.layout)) {
+    throw new Error('Unknown layout "' + storage.layout + '" in cache folder ' +
+      config.cacheFolder);
+  }
+  if (config.layout && (storage.layout !== config.layout)) {
+    throw new Error('Cache folder ' + config.cacheFolder + ' uses the "' +
+      storage.layout + '" layout instead of "' + config.layout + '". Run ' +
+      '"fetch-filecache migrate --layout ' + config.layout + '" to convert it.');
+  }
+  return storage;
+}
+
+
+/**
+ * Store a response in the cache
+ *
+ * Responses that vary on request headers are stored in a variant entry. The
+ * entry at the cache key then records the request headers to look at.
+ *
+ * The body is compressed if needed, and the length and digest of the stored
+ * bytes are computed along the way. The headers are stored last and record
+ * the length and digest, so that a body that does not match its headers can
+ * be detected.
+ *
+ * When bodies are deduplicated, the body gets moved to a key derived from its
+ * digest once stored, and the headers record that key in a `bodyKey`
+ * property.
+ *
+ * Entries record a `version` number, incremented when the body changes. When
+ * past versions are kept, the previous version of the entry is copied to a
+ * version key before it gets replaced, and the headers of the entry list the
+ * version numbers of the past versions that are kept, most recent first.
+ *
+ * @function
+ * @param {Object} storage The storage backend
+ * @param {String} cacheKey The cache key of the request
+ * @param {Object} entry The response to store, with `url`, `method`,
+ *   `status`, `headers` (lower-cased response headers), `requestHeaders` and
+ *   `body` (async iterable of chunks) properties, and an optional `received`
+ *   date
+ * @param {Object} config Configuration, with `compression`,
+ *   `compressionThreshold`, `deduplicate` and `keepVersions` properties
+ * @return {Promise<Object>} The promise to get an object with the cache `key`
+ *   of the stored entry, and a `changed` flag set when the body differs from
+ *   the body of the entry that was replaced, or when there was no such entry
+ */
+async function storeCacheEntry(storage, cacheKey, entry, config) {
+  if (config.deduplicate && !storage.moveBody) {
+    throw new Error('Storage backend does not support deduplication');
+  }
+  const varyOn = parseVary(entry.headers.vary);
+  let key = cacheKey;
+  if (varyOn.length > 0) {
+    await storage.delete(cacheKey);
+    await storage.putHeaders(cacheKey, { url: entry.url, method: entry.method, varyOn });
+    key = getVariantKey(cacheKey, varyOn, entry.requestHeaders);
+  }
+
+  let previous = await readCachedHeaders(storage, key);
+  if (previous?.varyOn || (previous && !previous.bodyDigest)) {
+    previous = null;
+  }
+  const previousVersion = previous?.version ?? 1;
+  const versionKey = getVersionKey(key, previousVersion);
+  const keepVersions = config.keepVersions ?? 0;
+
+  // Open the body of the previous version before it gets replaced. It only
+  // gets copied to the version entry if the new body differs. Shared bodies
+  // do not need to be copied. There is no version to keep when the previous
+  // body is missing or corrupted, but past versions remain available.
+  let keepPrevious = !!previous && (keepVersions > 0);
+  if (keepPrevious && await checkCacheEntryIntegrity(
+      storage, key, previous, config.checkIntegrity ?? true)) {
+    keepPrevious = false;
+  }
+  let previousBody = null;
+  if (keepPrevious && !previous.bodyKey) {
+    try {
+      previousBody = await storage.getBody(key);
+    }
+    catch (err) {
+      keepPrevious = false;
+    }
+  }
+
+  const hash = crypto.createHash('sha256');
+  let length = 0;
+  let decodedLength = 0;
+  const decodedHash = crypto.createHash('sha256');
+  let body = entry.body;
+  let compressed = null;
+  if (config.compression && isCompressibleType(entry.headers['content-type'])) {
+    if (!bodyEncodings[config.compression]) {
+      throw new Error('Unknown compression ' + config.compression);
+    }
+    // Record the length and digest of the uncompressed body, needed to serve
+    // ranges and to expose the digest of the body on responses
+    compressed = compressBody((async function* () {
+      for await (const chunk of entry.body) {
+        decodedHash.update(chunk);
+        decodedLength += chunk.length;
+        yield chunk;
+      }
+    })(), config.compression, config.compressionThreshold);
+    body = compressed.chunks;
+  }
+  try {
+    await storage.putBody(key, (async function* () {
+      for await (const chunk of body) {
+        hash.update(chunk);
+        length += chunk.length;
+        yield chunk;
+      }
+    })());
+  }
+  catch (err) {
+    previousBody?.destroy();
+    throw err;
+  }
+
+  const headers = {
+    url: entry.url,
+    method: entry.method,
+    status: entry.status,
+    received: (entry.received ?? new Date()).toUTCString(),
+    accessed: (new Date()).toISOString(),
+    bodyLength: length,
+    bodyDigest: formatDigest(hash)
+  };
+  if (compressed?.encoding) {
+    headers.bodyEncoding = compressed.encoding;
+    headers.bodyDecodedLength = decodedLength;
+    headers.bodyDecodedDigest = formatDigest(decodedHash);
+  }
+  if (config.deduplicate) {
+    headers.bodyKey = blobKeyPrefix +
+      Buffer.from(headers.bodyDigest.slice('sha256-'.length), 'base64').toString('hex');
+    await storage.moveBody(key, headers.bodyKey);
+  }
+
+  const changed = !previous ||
+    (getContentDigest(previous) !== getContentDigest(headers));
+  let versions = previous?.versions ?? [];
+  headers.version = previous ? previousVersion + (changed ? 1 : 0) : 1;
+  if (changed && keepPrevious) {
+    if (previousBody) {
+      await storage.putBody(versionKey, previousBody);
+    }
+    const versionHeaders = Object.assign({}, previous,
+      { version: previousVersion, versionOf: key });
+    delete versionHeaders.versions;
+    await storage.putHeaders(versionKey, versionHeaders);
+    versions = [previousVersion].concat(versions);
+  }
+  else {
+    previousBody?.destroy();
+  }
+  for (const version of versions.slice(keepVersions)) {
+    await storage.delete(getVersionKey(key, version));
+  }
+  versions = versions.slice(0, keepVersions);
+  if (versions.length > 0) {
+    headers.versions = versions;
+  }
+
+  Object.assign(headers, entry.headers);
+  await storage.putHeaders(key, headers);
+  return { key, changed };
+}
+
+
+/**
+ * Read the headers of a cache entry
+ *
+ * A warning is reported when the headers exist but cannot be read or parsed.
+ *
+ * @function
+ * @param {Object} storage The storage backend
+ * @param {String} key The cache key of the entry
+ * @return {Promise<Object>} The promise to get the headers, undefined if the
+ *   entry does not exist or cannot be parsed
+ */
+async function readCachedHeaders(storage, key) {
+  try {
+    return await storage.getHeaders(key);
+  }
+  catch (err) {
+    warn('Ignoring invalid cache headers for ' + key + ': ' + err.message);
+  }
+}
+
+
+/**
+ * Find the cache entry that corresponds to a cache key, following the list of
+ * request headers that the response varies on, if needed
+ *
+ * @function
+ * @param {Object} storage The storage backend
+ * @param {String} cacheKey The cache key of the request
+ * @param {Object} requestHeaders Request headers (case-insensitive)
+ * @return {Promise<Object>} The promise to get an object with the `key` of
+ *   the entry, and its `headers` (undefined if the entry is not in the cache)
+ */
+async function findCacheEntry(storage, cacheKey, requestHeaders) {
+  let key = cacheKey;
+  let headers = await readCachedHeaders(storage, key);
+  if (headers?.varyOn) {
+    key = getVariantKey(cacheKey, headers.varyOn, requestHeaders);
+    headers = await readCachedHeaders(storage, key);
+  }
+  return { key, headers };
+}
+
+
+/**
+ * List the entries in the storage
+ *
+ * This includes entries that merely record the request headers that a
+ * response varies on, which have a `varyOn` property in their headers.
+ *
+ * @function
+ * @param {Object} storage The storage backend
+ * @return {Promise<Array<Object>>} The promise to get the list of entries.
+ *   On top of the properties returned by the storage backend (`key`,
+ *   `headers`, `size`), each entry has a `received` property and an
+ *   `accessed` property (timestamps in ms).
+ */
+async function listCacheEntries(storage) {
+  const entries = await storage.list();
+  for (const entry of entries) {
+    const headers = entry.headers;
+    entry.received = (new Date(
+      headers.received || headers.date || 'Jan 1, 1970, 00:00:00.000 GMT')).getTime();
+    entry.accessed = headers.accessed ? Date.parse(headers.accessed) : entry.received;
+    if (headers.bodyKey) {
+      // The body is shared with other entries and not part of the size
+      // reported by the storage backend
+      entry.size += headers.bodyLength ?? 0;
+    }
+  }
+  return entries;
+}
+
+
+/**
+ * Apply retention policies to the storage
+ *
+ * Entries that were received more than `maxEntryAge` seconds ago are deleted,
+ * as well as entries that were last accessed before `unusedSince`. Then, if
+ * the total size of the remaining entries exceeds `maxCacheSize` bytes, least
+ * recently accessed entries are deleted until the total size is below the
+ * limit.
+ *
+ * Past versions of an entry count towards the size of the entry, and are
+ * deleted with the entry.
+ *
+ * @function
+ * @param {Object} storage The storage backend
+ * @param {Object} policies Retention policies: `maxCacheSize` (in bytes),
+ *   `maxEntryAge` (in seconds) and `unusedSince` (timestamp in ms). Policies
+ *   that are not set or set to 0 are not applied.
+ * @return {Promise<Object>} The promise to get an object with the number of
+ *   deleted `entries` and their total `size` in bytes
+ */
+async function applyRetentionPolicies(storage, policies) {
+  const deleted = { entries: 0, size: 0 };
+  async function deleteEntry(entry) {
+    await storage.delete(entry.key);
+    for (const version of entry.headers.versions ?? []) {
+      await storage.delete(getVersionKey(entry.key, version));
+    }
+    deleted.entries += 1;
+    deleted.size += entry.size;
+  }
+
+  const now = Date.now();
+  const entries = [];
+  const allEntries = await listCacheEntries(storage);
+  const versionSizes = {};
+  for (const entry of allEntries.filter(entry => entry.headers.versionOf)) {
+    versionSizes[entry.headers.versionOf] =
+      (versionSizes[entry.headers.versionOf] ?? 0) + entry.size;
+  }
+  for (const entry of allEntries) {
+    if (entry.headers.varyOn || entry.headers.versionOf) {
+      continue;
+    }
+    entry.size += versionSizes[entry.key] ?? 0;
+    if ((policies.maxEntryAge && (entry.received + policies.maxEntryAge * 1000 < now)) ||
+        (policies.unusedSince && (entry.accessed < policies.unusedSince))) {
+      await deleteEntry(entry);
+    }
+    else {
+      entries.push(entry);
+    }
+  }
+
+  if (policies.maxCacheSize) {
+    let size = entries.reduce((total, entry) => total + entry.size, 0);
+    entries.sort((e1, e2) => e1.accessed - e2.accessed);
+    for (const entry of entries) {
+      if (size <= policies.maxCacheSize) {
+        break;
+      }
+      await deleteEntry(entry);
+      size -= entry.size;
+    }
+  }
+
+  return deleted;
+}
+
+
+/**
+ * Delete the bodies shared by cache entries that are no longer referenced by
+ * any entry
+ *
+ * Garbage collection should not run while other requests store responses in
+ * the cache, as a body gets stored before the headers that reference it.
+ *
+ * @function
+ * @param {Object} storage The storage backend
+ * @return {Promise<Object>} The promise to get an object with the number of
+ *   deleted `blobs` and their total `size` in bytes
+ */
+async function collectBlobs(storage) {
+  const deleted = { blobs: 0, size: 0 };
+  if (!storage.listBodies) {
+    return deleted;
+  }
+  const referenced = new Set((await storage.list())
+    .map(entry => entry.headers.bodyKey)
+    .filter(key => !!key));
+  for (const key of await storage.listBodies(blobKeyPrefix)) {
+    if (referenced.has(key)) {
+      continue;
+    }
+    try {
+      deleted.size += await storage.getBodySize(key);
+    }
+    catch (err) {
+    }
+    await storage.delete(key);
+    deleted.blobs += 1;
+  }
+  return deleted;
+}
+
+
+/**
+ * Return true if a 304 response should be returned, false otherwise
+ *
+ * The function is loosely adapted from:
+ * https://github.com/http-party/http-server/blob/cf17c2fe97342f6a268bfb8fc79a2b82464c4d25/lib/core/index.js#L135
+ * Copyright (c) 2011-2021 Charlie Robbins, Marak Squires, Jade Michael Thornton and the Contributors.
+ * Published under an MIT license: https://github.com/http-party/http-server/blob/master/LICENSE
+ *
+ * Adaptation includes giving priority to If-None-Match over If-Modified-Since
+ * (per the HTTP spec), and handling list of values in If-None-Match header.
+ *
+ * @function
+ * @param {Array<string>} requestHeaders Request headers (case-insensitive)
+ * @param {Array<string>} responseHeaders Headers from fetch response or cache (all lower-case)
+ * @return {boolean} true when a 304 could be returned, false otherwise
+ */
+function shouldReturn304(requestHeaders, responseHeaders) {
+  const requestEtags = (getHeaderValue(requestHeaders, 'If-None-Match') ?? '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(value => !!value);
+  if (requestEtags.length > 0) {
+    const responseEtag = responseHeaders['etag'] ?? '';
+    return !!requestEtags.find(etag =>
+      (etag === responseEtag) ||
+      (etag === `W/${responseEtag}`) ||
+      (`W/${etag}` === responseEtag));
+  }
+
+  const requestKnownDate = getHeaderValue(requestHeaders, 'If-Modified-Since');
+  if (requestKnownDate) {
+    let knownDate;
+    // Catch "illegal access" dates that will crash v8
+    try {
+      knownDate = new Date(Date.parse(requestKnownDate));
+    } catch (err) {
+      return false;
+    }
+    if (knownDate.toString() === 'Invalid Date') {
+      return false;
+    }
+    // If the client's copy is older than the server's, don't return 304
+    return (knownDate >= new Date(responseHeaders['last-modified']));
+  }
+
+  return false;
+}
+
+
+
+/**
+ * Wrapper around the baseFetch function that returns the response from the
+ * local cache if one is found.
+ *
+ * Responses to GET, HEAD and POST requests are cached. The cache key takes
+ * the method, the request body, and the request headers listed in the Vary
+ * header of the cached response into account. Requests that use other
+ * methods are passed through to the network.
+ *
+ * Redirects are followed one hop at a time, each hop getting its own cache
+ * entry, so that the returned response has the right `url` and `redirected`
+ * properties, and so that cached redirects may be followed without sending
+ * network requests.
+ *
+ * TODO: use encoding specified in content-type header for file operations?
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @param {String|URL|Request} resource The URL to retrieve, or a Request
+ * @param {Object} options Fetch options, include specific HTTP headers to
+ *   send along with the request.
+ * @return {Promise<Response>} The promise to get an HTTP response
+ */
+async function cacheFetch(instance, resource, options) {
+  // We may modify request options in place, let's make a shallow copy
+  options = Object.assign({}, options);
+
+  // Extract request parameters from Request objects. As in native `fetch`,
+  // parameters passed in `options` take precedence.
+  let url;
+  if (resource instanceof Request) {
+    url = resource.url;
+    options = Object.assign({
+      method: resource.method,
+      headers: resource.headers,
+      redirect: resource.redirect,
+      signal: resource.signal
+    }, options);
+    if (!options.hasOwnProperty('body') && resource.body) {
+      options.body = Buffer.from(await resource.arrayBuffer());
+    }
+  }
+  else {
+    url = String(resource);
+  }
+  if (options.headers) {
+    options.headers = headersToObject(options.headers);
+  }
+  const method = (options.method || 'GET').toUpperCase();
+  if (!cacheableMethods.includes(method)) {
+    return fetchOne(instance, url, options);
+  }
+
+  // The request body is part of the cache key. Bodies that can only be read
+  // once are replaced by the buffer we read, so that the request may also be
+  // sent again when it gets redirected.
+  const body = await readRequestBody(options.body);
+  if (body?.consumed) {
+    options.body = body.buffer;
+    if (body.contentType && !getHeaderValue(options.headers, 'Content-Type')) {
+      options.headers = options.headers || {};
+      options.headers['Content-Type'] = body.contentType;
+    }
+  }
+  if (options.redirect === 'manual') {
+    return fetchOne(instance, url, options, body);
+  }
+
+  // Follow redirects one hop at a time, so that each hop gets cached
+  const redirectMode = options.redirect || 'follow';
+  let hops = 0;
+  let hopMethod = method;
+  let hopBody = body;
+  options = Object.assign({}, options, { redirect: 'manual' });
+  while (true) {
+    const response = await fetchOne(instance, url, options, hopBody);
+    const location = response.headers.get('location');
+    if (!redirectStatuses.includes(response.status) || !location) {
+      setResponseUrl(response, url, hops > 0);
+      return response;
+    }
+    await response.body?.cancel();
+    if (redirectMode === 'error') {
+      throw new TypeError('fetch failed',
+        { cause: new Error('unexpected redirect to ' + location) });
+    }
+    if (hops >= maxRedirects) {
+      throw new TypeError('fetch failed',
+        { cause: new Error('redirect count exceeded') });
+    }
+    hops += 1;
+
+    // Compute the request to send next, following the Fetch standard:
+    // https://fetch.spec.whatwg.org/#http-redirect-fetch
+    const nextUrl = (new URL(location, url)).href;
+    options = Object.assign({}, options);
+    options.headers = Object.assign({}, options.headers);
+    if (((response.status === 303) && (hopMethod !== 'HEAD')) ||
+        ([301, 302].includes(response.status) && (hopMethod === 'POST'))) {
+      hopMethod = 'GET';
+      hopBody = null;
+      options.method = 'GET';
+      delete options.body;
+      for (const header of Object.keys(options.headers)) {
+        if (['content-encoding', 'content-language', 'content-location',
+            'content-type', 'content-length'].includes(header.toLowerCase())) {
+          delete options.headers[header];
+        }
+      }
+    }
+    if ((new URL(nextUrl)).origin !== (new URL(url)).origin) {
+      for (const header of Object.keys(options.headers)) {
+        if (header.toLowerCase() === 'authorization') {
+          delete options.headers[header];
+        }
+      }
+    }
+    url = nextUrl;
+  }
+}
+
+
+/**
+ * Fetch a resource from the cache or from the network, without following
+ * redirects when the method is cacheable.
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @param {String} url The URL to retrieve
+ * @param {Object} options Fetch options
+ * @param {Object} body The request body, as returned by readRequestBody
+ * @return {Promise<Response>} The promise to get an HTTP response
+ */
+async function fetchOne(instance, url, options, body) {
+  const { pendingFetches, storageReset, storageRetention, hostThrottles,
+    events, stats } = instance;
+  options = Object.assign({}, options);
+  const method = (options.method || 'GET').toUpperCase();
+
+  // Increment request counter and save it locally for logging purpose
+  instance.counter += 1;
+  let requestId = instance.counter;
+
+  // Parameters set through environment variables override specific
+  // parameters given in `options`, which override settings of the first rule
+  // that matches the URL, which override global settings.
+  // NB: `avoidNetworkRequests` and `forceRefresh` are deprecated but still
+  // supported. The `refresh` parameter should rather be used.
+  const defaults = getUrlDefaults(instance.config, url, options);
+  const config = {};
+  for (const name of Object.keys(defaultConfig)) {
+    if (name === 'rules') {
+      // Rules have already been applied to the defaults
+      continue;
+    }
+    else if (['cacheFolder', 'layout', 'storage'].includes(name)) {
+      // Empty values do not override the location of the cache
+      config[name] = options[name] || defaults[name];
+    }
+    else if ((name !== 'refresh') && options.hasOwnProperty(name)) {
+      // The refresh strategy in `options` is handled below, along with
+      // deprecated parameters
+      config[name] = options[name];
+    }
+    else {
+      config[name] = defaults[name];
+    }
+  }
+  if (options.hasOwnProperty('avoidNetworkRequests')) {
+    config.refresh = (options.avoidNetworkRequests ? 'never' : config.refresh);
+  }
+  if (options.hasOwnProperty('forceRefresh')) {
+    config.refresh = (options.forceRefresh ? 'force' : config.refresh);
+  }
+  if (options.hasOwnProperty('refresh')) {
+    config.refresh = options.refresh;
+  }
+  Object.assign(config, instance.envConfig, instance.overrideConfig);
+  validateConfig(config);
+  // Requesting agent may be cache-aware, in which case we will return a 304
+  // when resource has not been modified.
+  const isRequestCacheAware =
+    getHeaderValue(options.headers, 'If-None-Match') ||
+    getHeaderValue(options.headers, 'If-Modified-Since');
+
+  function log(msg) {
+    if (!config.logToConsole) return;
+    console.log(requestId + ' - ' + msg);
+  }
+
+  // Emit a structured event about the request and update statistics
+  const startTime = Date.now();
+  function emit(type, details) {
+    const event = Object.assign({
+      type, requestId, url, method, time: Date.now() - startTime
+    }, details);
+    stats[statsCounters[type]] += 1;
+    if (['hit', 'coalesced', 'revalidated'].includes(type)) {
+      stats.bytesFromCache += event.bytes ?? 0;
+    }
+    // Error events throw when no one listens to them
+    if ((type !== 'error') || (events.listenerCount('error') > 0)) {
+      events.emit(type, event);
+    }
+  }
+
+  /**
+   * Send the request to the network, once the throttling parameters of the
+   * host allow it.
+   *
+   * When `retryLater` is set, responses that ask to retry the request later
+   * with a Retry-After header are waited out and the request is sent again,
+   * provided the delay is not too long. Other requests to the host are paused
+   * in the meantime.
+   *
+   * The request is sent with the fetch options of the request, unless other
+   * options are given.
+   */
+  async function networkFetch(retryLater, requestOptions = options) {
+    const host = (new URL(url)).host;
+    const params = getHostParameters(host, config);
+    let attempt = 0;
+    while (true) {
+      // The request slot remains taken until the body has been downloaded
+      const release = await acquireHostSlot(hostThrottles, host, params);
+      let response;
+      try {
+        // Bytes are counted as they get read, whether the body ends up in the
+        // cache or not
+        response = releaseAfterBody(await fetch(url, requestOptions), release,
+          length => stats.bytesDownloaded += length);
+      }
+      catch (err) {
+        release();
+        throw err;
+      }
+      const retryAfter = retryAfterStatuses.includes(response.status) ?
+        parseRetryAfter(response.headers.get('retry-after')) :
+        null;
+      if (!retryLater || (retryAfter === null) ||
+          (retryAfter > params.maxRetryAfter) ||
+          (attempt >= retryAfterMaxAttempts)) {
+        return response;
+      }
+      attempt += 1;
+      log('server returned ' + response.status + ', retry in ' +
+        retryAfter + 's');
+      emit('retry', { attempt, delay: retryAfter * 1000, status: response.status });
+      // Pause the host before cancelling the body, which releases the request
+      // slot to the next request in the queue
+      hostThrottles[host].pausedUntil = Math.max(
+        hostThrottles[host].pausedUntil, Date.now() + retryAfter * 1000);
+      await response.body?.cancel();
+    }
+  }
+
+  /**
+   * Decide whether to retry a request after an attempt, following the
+   * `shouldRetry` hook if there is one, and the `retryStatuses` and
+   * `retryErrorCodes` parameters otherwise.
+   */
+  async function shouldRetry(attemptInfo) {
+    if (config.shouldRetry) {
+      return !!(await config.shouldRetry(attemptInfo));
+    }
+    if (attemptInfo.error) {
+      return !config.retryErrorCodes ||
+        config.retryErrorCodes.includes(getErrorCode(attemptInfo.error));
+    }
+    return (config.retryStatuses || []).includes(attemptInfo.response.status);
+  }
+
+  if (!cacheableMethods.includes(method) || !config.useCache) {
+    log('fetch ' + url + ' (' + method + ' request, not cached)');
+    emit('start');
+    try {
+      if (config.refresh === 'offline') {
+        throw new CacheMissError(url, null);
+      }
+      const response = await networkFetch(false);
+      return setCacheStatus(response, {
+        fwd: config.useCache ? 'method' : 'bypass',
+        fwdStatus: response.status
+      });
+    }
+    catch (err) {
+      emit('error', { error: err });
+      throw err;
+    }
+  }
+
+  // Range requests are served from the cached response. The full response
+  // needs to be fetched from the network when it is not in the cache.
+  const range = (method === 'GET') ?
+    getHeaderValue(options.headers, 'Range') :
+    null;
+  const ifRange = range ? getHeaderValue(options.headers, 'If-Range') : null;
+  if (range) {
+    options.headers = Object.assign({}, options.headers);
+    for (const header of Object.keys(options.headers)) {
+      if (['range', 'if-range'].includes(header.toLowerCase())) {
+        delete options.headers[header];
+      }
+    }
+  }
+
+  // The cache entry that gets used depends on the Vary header of the cached
+  // response, if any: the entry at the cache key then only records the list
+  // of request headers that the response varies on, and the response is
+  // stored in a variant entry.
+  const storage = getStorage(config);
+  const cacheKey = getCacheKey(url, method, body?.buffer, storage.layout);
+  let entryKey = cacheKey;
+
+  // Reason why the request gets forwarded to the network, for Cache-Status
+  let fwdReason = 'miss';
+
+  // Whether the response stored in the cache differs from the previous one
+  let changed = false;
+  if (!pendingFetches.has(storage)) {
+    pendingFetches.set(storage, {});
+  }
+  const pending = pendingFetches.get(storage);
+
+  function isFetchPending() {
+    return !!pending[cacheKey];
+  }
+
+  async function pendingFetchIsOver() {
+    if (pending[cacheKey]) {
+      log('wait for pending request');
+      await pending[cacheKey].promise;
+    }
+    else {
+      throw new Error('There was no pending request');
     }
   }
 
@@ -357,194 +2264,1443 @@ async function cacheFetch(url, options) {
       resolve = innerResolve;
       reject = innerReject;
     });
-    pendingFetches[url] = { promise, resolve, reject };
+    pending[cacheKey] = { promise, resolve, reject };
+
+    // Make sure that we catch rejection (in case no one is actually looking
+    // for this URL at the same time, otherwise Node.js will complain with an
+    // "UnhandledPromiseRejectionWarning" message)
+    promise.catch(err => {});
+  }
+
+  function resolvePendingFetch() {
+    if (!pending[cacheKey]) return;
+    pending[cacheKey].resolve(true);
+    delete pending[cacheKey];
+  }
+
+  function rejectPendingFetch(err) {
+    if (!pending[cacheKey]) return;
+    pending[cacheKey].reject(err);
+    delete pending[cacheKey];
+  }
+
+  async function readHeadersFromCache() {
+    const entry = await findCacheEntry(storage, cacheKey, options.headers);
+    entryKey = entry.key;
+    return entry.headers;
+  }
+
+  /**
+   * Determine whether the cached response may be returned when the network
+   * request fails or returns a server error, given the `staleIfError` setting
+   * and the `stale-if-error` Cache-Control directives of the cached response
+   * and of the request.
+   *
+   * @function
+   * @param {Object} headers HTTP headers of the cached response
+   * @return {Boolean} true if the cached response may be returned
+   */
+  function canServeStaleIfError(headers) {
+    if (!headers) {
+      return false;
+    }
+    let maxStale = config.staleIfError;
+    if (maxStale === true) {
+      return true;
+    }
+    if (!Number.isInteger(maxStale)) {
+      const directives = [
+        parseCacheControl(headers['cache-control'])['stale-if-error'],
+        parseCacheControl(getHeaderValue(options.headers, 'Cache-Control'))['stale-if-error']
+      ]
+        .map(value => parseInt(value, 10))
+        .filter(value => Number.isInteger(value));
+      if (directives.length === 0) {
+        return false;
+      }
+      maxStale = Math.max(...directives);
+    }
+    return getStaleness(headers, config.sharedCache) <= maxStale;
+  }
+
+  /**
+   * Record the time at which the cache entry was last accessed, for retention
+   * policies. To avoid writing the headers file over and over again, the
+   * access time is only updated when it is older than the launch time or than
+   * the access time resolution.
+   *
+   * Runs that use the `offline` refresh strategy leave the cache folder
+   * untouched.
+   *
+   * @function
+   * @param {Object} headers Headers of the cache entry
+   * @return {Promise} The promise to have recorded the access time
+   */
+  async function recordAccess(headers) {
+    if (config.refresh === 'offline') {
+      return;
+    }
+    const accessed = Date.parse(headers.accessed);
+    if ((accessed >= instance.launchTime) && (Date.now() - accessed < accessTimeResolution)) {
+      return;
+    }
+    headers = Object.assign({}, headers, { accessed: (new Date()).toISOString() });
+    try {
+      await storage.putHeaders(entryKey, headers);
+    }
+    catch (err) {
+    }
+  }
+
+  /**
+   * Return the range of the body that the request asks for, if any
+   *
+   * The Range header is ignored when the If-Range header does not match the
+   * validators of the cached response, or when the size of the body is not
+   * known (compressed bodies stored by previous versions of the module).
+   *
+   * @function
+   * @param {Object} headers HTTP headers of the cached response
+   * @param {Number} size Size of the (uncompressed) body
+   * @return {Object} The range, see parseRange, with the `size` of the body,
+   *   null when the full body should be returned
+   */
+  function getRequestedRange(headers, size) {
+    if (!Number.isInteger(size)) {
+      return null;
+    }
+    if (ifRange && (ifRange.startsWith('W/') || (ifRange !== headers.etag)) &&
+        (ifRange !== headers['last-modified'])) {
+      log('range request ignored, If-Range does not match cached response');
+      return null;
+    }
+    const res = parseRange(range, size);
+    return res ? Object.assign(res, { size }) : null;
+  }
+
+  /**
+   * Create a response from the cache entry
+   *
+   * @function
+   * @param {Object} cacheStatus Parameters of the Cache-Status header to
+   *   set on the response, see formatCacheStatus. The remaining freshness
+   *   lifetime and the refresh strategy get added to these parameters.
+   * @param {String} eventType Type of event to emit once the response is
+   *   ready, if any
+   * @param {Object} eventDetails Additional event properties
+   * @return {Promise<Response>} The promise to get the response
+   */
+  async function readFromCache(cacheStatus, eventType, eventDetails) {
+    let headers = await storage.getHeaders(entryKey);
+    if (!headers) {
+      throw new Error('No cache entry for ' + url);
+    }
+    await recordAccess(headers);
+    const ttl = getTtl(headers, config.refresh, config.sharedCache);
+    let status = headers.status || 200;
+    const bodyEncoding = headers.bodyEncoding;
+    const bodyLength = headers.bodyLength;
+    const bodyDecodedLength = headers.bodyDecodedLength;
+    const bodyKey = headers.bodyKey ?? entryKey;
+    const bodyDigest = getContentDigest(headers);
+    for (const property of metadataProperties) {
+      delete headers[property];
+    }
+    // Indicate whether this is coming from the cache via
+    // https://www.rfc-editor.org/rfc/rfc9211.html
+    headers['cache-status'] = formatCacheStatus(
+      Object.assign({ ttl, detail: config.refresh }, cacheStatus));
+    if (isRequestCacheAware && shouldReturn304(options.headers, headers)) {
+      // Only keep useful headers for 304 response, see:
+      // https://httpwg.org/specs/rfc7232.html#status.304
+      const toDelete = Object.keys(headers).filter(header =>
+        !['cache-control', 'content-location', 'date', 'etag',
+          'expires', 'last-modified', 'vary', 'cache-status'].includes(header));
+      toDelete.forEach(header => delete headers[header]);
+      if (eventType) {
+        emit(eventType, Object.assign({ status: 304, bytes: 0 }, eventDetails));
+      }
+      return setResponseUrl(new Response(null, { status: 304, headers }), url, false);
+    }
+    let readable = ((method === 'HEAD') || nullBodyStatuses.includes(status)) ?
+      null :
+      decompressBody(await storage.getBody(bodyKey), bodyEncoding);
+    // Bytes served, once decompressed. Entries compressed by previous versions
+    // of the module do not record their decompressed length.
+    let bytes = readable ?
+      ((bodyEncoding && bodyDecodedLength) ?? bodyLength ?? 0) :
+      0;
+    const bodyRange = (range && readable && (status === 200)) ?
+      getRequestedRange(headers, bodyEncoding ?
+        bodyDecodedLength :
+        (bodyLength ?? await storage.getBodySize(bodyKey))) :
+      null;
+    if (bodyRange?.unsatisfiable) {
+      log('requested range cannot be satisfied');
+      readable.destroy();
+      readable = null;
+      bytes = 0;
+      status = 416;
+      headers['content-range'] = 'bytes */' + bodyRange.size;
+      headers['content-length'] = '0';
+    }
+    else if (bodyRange) {
+      log('return range ' + bodyRange.start + '-' + bodyRange.end + ' from cache');
+      readable = stream.Readable.from(
+        sliceBody(readable, bodyRange.start, bodyRange.end));
+      bytes = bodyRange.end - bodyRange.start + 1;
+      status = 206;
+      headers['content-range'] = 'bytes ' + bodyRange.start + '-' +
+        bodyRange.end + '/' + bodyRange.size;
+      headers['content-length'] = String(bytes);
+    }
+    if (readable) {
+      readable = stream.Readable.toWeb(readable);
+    }
+    if (eventType) {
+      emit(eventType, Object.assign({ status, bytes }, eventDetails));
+    }
+    const response = setResponseUrl(
+      new Response(readable, { status, headers }), url, false);
+    if (bodyDigest) {
+      // Digest of the full body, which tells whether URLs serve the same
+      // content without having to read the body
+      Object.defineProperty(response, 'bodyDigest',
+        { value: bodyDigest, configurable: true });
+    }
+    Object.defineProperty(response, 'changed', { value: changed, configurable: true });
+    return response;
+  }
+
+  /**
+   * Request the rest of a response whose download was interrupted
+   *
+   * @function
+   * @param {Number} offset Number of bytes already received
+   * @param {String} validator ETag or Last-Modified date of the response
+   * @return {Promise<Response>} The promise to get the partial response that
+   *   contains the rest of the body, null if the server did not return the
+   *   expected range, e.g. because the resource changed in the meantime
+   */
+  async function resumeDownload(offset, validator) {
+    const headers = Object.assign({}, options.headers);
+    for (const header of Object.keys(headers)) {
+      if (['if-none-match', 'if-modified-since'].includes(header.toLowerCase())) {
+        delete headers[header];
+      }
+    }
+    headers['Range'] = 'bytes=' + offset + '-';
+    headers['If-Range'] = validator;
+    const response = await networkFetch(true, Object.assign({}, options, { headers }));
+    const match = /^bytes (\d+)-/.exec(response.headers.get('content-range') || '');
+    if ((response.status !== 206) || !match ||
+        (parseInt(match[1], 10) !== offset)) {
+      log('server did not return the rest of the response (' +
+        response.status + '), cannot resume download');
+      await response.body?.cancel();
+      return null;
+    }
+    return response;
+  }
+
+  async function saveToCacheIfNeeded(response, prevHeaders) {
+    // Not needed if response is the one we have in cache
+    // (but we'll still update the "received" date if we can to note that we
+    // checked the cache entry)
+    if (response.status === 304) {
+      if (!prevHeaders) {
+        log('response is not in cache but client has it');
+        return false;
+      }
+      else {
+        log('response in cache is still valid');
+        prevHeaders.url = url;
+        prevHeaders.method = method;
+        prevHeaders.received = (new Date()).toUTCString();
+        prevHeaders.accessed = (new Date()).toISOString();
+        delete prevHeaders.age;
+        response.headers.forEach((value, header) => {
+          if ((header === 'expires') || (header === 'cache-control') ||
+              (header === 'date') || (header === 'age')) {
+            prevHeaders[header] = value;
+          }
+        });
+        try {
+          await storage.putHeaders(entryKey, prevHeaders);
+        }
+        catch (err) {
+        }
+        return true;
+      }
+    }
+
+    // Follow HTTP rules on whether the response may be stored when the cache
+    // behaves as a regular HTTP cache
+    if (config.refresh === 'default') {
+      const responseDirectives = parseCacheControl(response.headers.get('cache-control'));
+      const requestDirectives = parseCacheControl(
+        getHeaderValue(options.headers, 'Cache-Control'));
+      if (responseDirectives['no-store'] || requestDirectives['no-store']) {
+        log('response not stored in cache (no-store directive)');
+        return false;
+      }
+      if (config.sharedCache && responseDirectives.private) {
+        log('response not stored in shared cache (private directive)');
+        return false;
+      }
+    }
+
+    // Responses that ask to retry later are not a final answer
+    if (retryAfterStatuses.includes(response.status) &&
+        response.headers.has('retry-after')) {
+      log('response asks to retry later, not stored in cache');
+      return false;
+    }
+
+    if (parseVary(response.headers.get('vary')).includes('*')) {
+      log('response varies on all request headers, not stored in cache');
+      return false;
+    }
+
+    log('fetch and save response to cache');
+    let bytes = 0;
+    const validator = (response.status === 200) ?
+      getRangeValidator(response.headers) :
+      null;
+    const stored = await storeCacheEntry(storage, cacheKey, {
+      url,
+      method,
+      status: response.status,
+      headers: headersToObject(response.headers),
+      requestHeaders: options.headers,
+      body: (async function* () {
+        // Resume the download where it stopped if the network connection
+        // drops, following the retry policy
+        let current = response;
+        let attempt = 0;
+        while (current) {
+          try {
+            for await (const chunk of current.body ?? []) {
+              bytes += chunk.length;
+              yield chunk;
+            }
+            current = null;
+          }
+          catch (err) {
+            let error = err;
+            current = null;
+            while (!current) {
+              if ((error.name === 'AbortError') || !validator ||
+                  (attempt >= config.retries)) {
+                throw error;
+              }
+              attempt += 1;
+              const delay = getRetryDelay(attempt, config);
+              log('download interrupted after ' + bytes + ' bytes (' +
+                (getErrorCode(error) ?? error.message) + '), resume in ' +
+                delay + 'ms');
+              emit('retry', { attempt, delay, error, offset: bytes });
+              await sleep(delay);
+              try {
+                current = await resumeDownload(bytes, validator);
+              }
+              catch (resumeErr) {
+                error = resumeErr;
+                continue;
+              }
+              if (!current) {
+                throw err;
+              }
+            }
+          }
+        }
+      })()
+    }, config);
+    entryKey = stored.key;
+    changed = stored.changed;
+    emit('stored', { status: response.status, bytes, changed });
+    return true;
+  }
+
+  async function conditionalFetch(prevHeaders) {
+    options.headers = options.headers || {};
+    if (prevHeaders && prevHeaders['last-modified'] && !isRequestCacheAware) {
+      options.headers['If-Modified-Since'] = prevHeaders['last-modified'];
+    }
+    if (prevHeaders && prevHeaders.etag && !isRequestCacheAware) {
+      options.headers['If-None-Match'] = prevHeaders.etag;
+    }
+    if (getHeaderValue(options.headers, 'If-Modified-Since') ||
+        getHeaderValue(options.headers, 'If-None-Match')) {
+      log('send conditional request');
+    }
+    else {
+      log('send regular request');
+    }
+
+    // To overcome transient errors, we'll fetch the same URL again a few
+    // times before we surrender, following the retry policy
+    async function fetchWithRetry() {
+      const maxAttempts = config.retries + 1;
+      for (let attempt = 1; ; attempt++) {
+        let response = null;
+        let error = null;
+        try {
+          response = await networkFetch(true);
+        }
+        catch (err) {
+          if (err.name === 'AbortError') throw err;
+          error = err;
+        }
+        const retry = (attempt < maxAttempts) &&
+          await shouldRetry({ url, attempt, maxAttempts, response, error });
+        if (!retry) {
+          if (error) throw error;
+          return response;
+        }
+        const delay = getRetryDelay(attempt, config);
+        log('fetch attempt ' + attempt + '/' + maxAttempts + ' failed (' +
+          (error ? getErrorCode(error) ?? error.message : response.status) +
+          '), retry in ' + delay + 'ms');
+        emit('retry', { attempt, delay, status: response?.status, error });
+        await response?.body?.cancel();
+        await sleep(delay);
+      }
+    }
+
+    // Return the stale response from the cache instead of an error when
+    // allowed to (but not when the request was aborted on purpose)
+    let response;
+    try {
+      response = await fetchWithRetry();
+    }
+    catch (err) {
+      if ((err.name !== 'AbortError') && canServeStaleIfError(prevHeaders)) {
+        log('fetch failed, return stale response from cache');
+        return readFromCache({ fwd: fwdReason, detail: 'stale-if-error' },
+          'hit', { stale: true });
+      }
+      throw err;
+    }
+    if ((response.status >= 500) && canServeStaleIfError(prevHeaders)) {
+      log('server error ' + response.status + ', return stale response from cache');
+      await response.body?.cancel();
+      return readFromCache({
+        fwd: fwdReason,
+        fwdStatus: response.status,
+        detail: 'stale-if-error'
+      }, 'hit', { stale: true });
+    }
+    const inCache = await saveToCacheIfNeeded(response, prevHeaders);
+    if (inCache) {
+      return readFromCache(
+        { fwd: fwdReason, fwdStatus: response.status, stored: true },
+        (response.status === 304) ? 'revalidated' : null);
+    }
+    else {
+      // This happens when agent set an If-None-Match or If-Modified-Since
+      // header, server returned a 304, and we don't yet have the resource in
+      // the file cache, or when the response may not be stored. Let's just
+      // transparently pass the response over to the agent.
+      return setCacheStatus(response, {
+        fwd: fwdReason,
+        fwdStatus: response.status,
+        detail: config.refresh
+      });
+    }
+  }
+
+  log('fetch ' + url);
+  emit('start');
+  // Offline runs must not write to the cache folder, which may be committed as
+  // test fixtures
+  const readOnly = (config.refresh === 'offline');
+  try {
+    // A failed reset is forgotten so that the next request tries again
+    if (config.resetCache && !readOnly && !storageReset.has(storage)) {
+      storageReset.set(storage, storage.reset({
+        since: instance.launchTime,
+        useLocks: config.useLocks,
+        lockStaleTimeout: config.lockStaleTimeout
+      }).catch(err => {
+        storageReset.delete(storage);
+        throw err;
+      }));
+    }
+    await storageReset.get(storage);
+
+    // Retention policies are not essential to the request, failures are
+    // reported as warnings
+    if ((config.maxCacheSize || config.maxEntryAge) && !readOnly &&
+        !storageRetention.has(storage)) {
+      storageRetention.set(storage, applyRetentionPolicies(storage,
+        { maxCacheSize: config.maxCacheSize, maxEntryAge: config.maxEntryAge })
+        .catch(err => warn('Could not apply retention policies to the cache: ' +
+          err.message)));
+    }
+    await storageRetention.get(storage);
+  }
+  catch (err) {
+    emit('error', { error: err });
+    throw err;
+  }
+
+  while (isFetchPending()) {
+    // There is a pending fetch, wait for that fetch to finish and reuse the
+    // cached answer (NB: we cannot reuse the Response object directly because
+    // response body stream can only be read once). The cached answer may not
+    // be there, e.g. if the response varies on request headers that differ,
+    // in which case we need to send our own request.
+    await pendingFetchIsOver();
+    if (await readHeadersFromCache()) {
+      log('pending request over, return response from cache');
+      return readFromCache({ fwd: 'miss', collapsed: true }, 'coalesced');
+    }
+    log('pending request over, but response not in cache');
+  }
+  addPendingFetch();
+  try {
+    let headers = await readHeadersFromCache();
+    let corrupted = false;
+    if (headers) {
+      const problem = await checkCacheEntryIntegrity(
+        storage, entryKey, headers, config.checkIntegrity);
+      if (problem) {
+        warn('Ignoring corrupted cache entry for ' + url + ': ' + problem);
+        log('response in cache is corrupted');
+        headers = undefined;
+        corrupted = true;
+      }
+    }
+    if (hasExpired(headers, config.refresh, {
+        requestHeaders: options.headers,
+        sharedCache: config.sharedCache,
+        launchTime: instance.launchTime,
+        log
+      })) {
+      if (!headers) {
+        fwdReason = corrupted ? 'miss' :
+          (entryKey !== cacheKey) ? 'vary-miss' : 'uri-miss';
+      }
+      else if ((config.refresh === 'force') ||
+          ((config.refresh === 'default') &&
+            !parseCacheControl(headers['cache-control'])['no-cache'] &&
+            (getTtl(headers, config.refresh, config.sharedCache) > 0))) {
+        // Fresh response that the request does not allow to use
+        fwdReason = 'request';
+      }
+      else {
+        fwdReason = 'stale';
+      }
+      emit('miss', { cached: !!headers, reason: fwdReason });
+      if (config.refresh === 'offline') {
+        log('response is not in cache and network requests are disabled');
+        throw new CacheMissError(url, entryKey);
+      }
+      if ((config.refresh === 'record') && headers) {
+        log('response in cache was recorded before and cannot be replaced');
+        throw new CacheOverwriteError(url, entryKey);
+      }
+
+      // Other processes may be using the same cache folder. Only one of them
+      // should send the request, others wait for the response to be in cache.
+      const lock = (config.useLocks && storage.lock) ?
+        await storage.lock(cacheKey, config.lockStaleTimeout) :
+        null;
+      try {
+        if (lock?.waited) {
+          const newHeaders = await readHeadersFromCache();
+          if (newHeaders && (newHeaders.received !== headers?.received)) {
+            log('request completed by another process, return response from cache');
+            resolvePendingFetch();
+            return readFromCache({ fwd: 'miss', collapsed: true }, 'coalesced');
+          }
+        }
+        let response = await conditionalFetch(headers);
+        resolvePendingFetch();
+        return response;
+      }
+      finally {
+        await lock?.release();
+      }
+    }
+    else {
+      resolvePendingFetch();
+      return readFromCache({ hit: true }, 'hit');
+    }
+  }
+  catch (err) {
+    rejectPendingFetch(err);
+    emit('error', { error: err });
+    throw err;
+  }
+}
+
+/**
+ * Delete cache entries that were not requested since the application started,
+ * typically to be called at the end of a crawl. Retention policies set through
+ * the `maxCacheSize` and `maxEntryAge` parameters are applied as well.
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @param {Object} options Optional parameters: `cacheFolder`, `storage`,
+ *   `maxCacheSize` and `maxEntryAge` override global settings
+ * @return {Promise<Object>} The promise to get an object with the number of
+ *   deleted `entries` and their total `size` in bytes, and the number of
+ *   shared bodies (`blobs`) that were no longer referenced and got deleted
+ */
+async function sweep(instance, options) {
+  options = Object.assign({}, instance.config, options, instance.envConfig,
+    instance.overrideConfig);
+  const storage = getStorage(options);
+  const deleted = await applyRetentionPolicies(storage, {
+    maxCacheSize: options.maxCacheSize,
+    maxEntryAge: options.maxEntryAge,
+    unusedSince: instance.launchTime
+  });
+  deleted.blobs = (await collectBlobs(storage)).blobs;
+  return deleted;
+}
+
+
+/**
+ * Compute the cache key of a request described by a URL and fetch options
+ *
+ * @function
+ * @private
+ * @param {String|URL} url The requested URL
+ * @param {Object} options Fetch options, with `method` and `body` properties
+ * @param {Object} storage The storage backend
+ * @return {Promise<String>} The promise to get the cache key
+ */
+async function getRequestCacheKey(url, options, storage) {
+  const method = (options.method || 'GET').toUpperCase();
+  const body = await readRequestBody(options.body);
+  return getCacheKey(String(url), method, body?.buffer, storage.layout);
+}
+
+
+/**
+ * Delete the cache entries whose headers match the given filter
+ *
+ * @function
+ * @private
+ * @param {Object} storage The storage backend
+ * @param {function} filter Function that receives a cache entry, as returned
+ *   by listCacheEntries, and returns true if the entry should be deleted
+ * @return {Promise<Number>} The promise to get the number of deleted entries
+ */
+async function deleteCacheEntries(storage, filter) {
+  let deleted = 0;
+  for (const entry of await listCacheEntries(storage)) {
+    if (filter(entry)) {
+      await storage.delete(entry.key);
+      if (!entry.headers.varyOn && !entry.headers.versionOf) {
+        deleted += 1;
+      }
+    }
+  }
+  if (deleted > 0) {
+    await collectBlobs(storage);
+  }
+  return deleted;
+}
+
+
+/**
+ * List the entries in the cache folder
+ *
+ * Entries created by previous versions of the module do not record the URL
+ * and HTTP method of the request, reported as `null` and `GET`.
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @param {Object} options Optional parameters: `cacheFolder` and `storage`
+ *   override global settings, `prefix` restricts the list to URLs that start with the
+ *   given string
+ * @return {Promise<Array<Object>>} The promise to get the list of entries,
+ *   each with a `key`, `url`, `method`, `status`, `size` (in bytes),
+ *   `received` and `accessed` (dates), `filename` (path to the body, for
+ *   the file storage only) and `headers` (contents of the headers file)
+ *   property
+ */
+async function listEntries(instance, options) {
+  options = Object.assign({}, instance.config, options, instance.envConfig,
+    instance.overrideConfig);
+  const storage = getStorage(options);
+  const entries = await listCacheEntries(storage);
+  return entries
+    .filter(entry => !entry.headers.varyOn && !entry.headers.versionOf)
+    .filter(entry => !options.prefix || entry.headers.url?.startsWith(options.prefix))
+    .map(entry => ({
+      key: entry.key,
+      url: entry.headers.url ?? null,
+      method: entry.headers.method ?? 'GET',
+      status: entry.headers.status || 200,
+      size: entry.size,
+      received: new Date(entry.received),
+      accessed: new Date(entry.accessed),
+      filename: (entry.filename && entry.headers.bodyKey) ?
+        storage.getFilename(entry.headers.bodyKey) :
+        entry.filename,
+      headersFilename: entry.filename ?
+        storage.getFilename(entry.key) + '.headers' :
+        undefined,
+      headers: entry.headers
+    }));
+}
 
-    // Make sure that we catch rejection (in case no one is actually looking
-    // for this URL at the same time, otherwise Node.js will complain with an
-    // "UnhandledPromiseRejectionWarning" message)
-    promise.catch(err => {});
+/**
+ * Read the headers stored in the cache for the given URL, without sending any
+ * network request.
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @param {String|URL} url The URL to look for
+ * @param {Object} options Optional parameters: `cacheFolder` and `storage`
+ *   override global settings, `method`, `body` and `headers` describe the request as in
+ *   fetch options
+ * @return {Promise<Object>} The promise to get the contents of the headers
+ *   file, which includes the `status`, `received` and `url` properties on top
+ *   of HTTP headers, or null if the URL is not in the cache
+ */
+async function readHeaders(instance, url, options) {
+  options = Object.assign(getUrlDefaults(instance.config, String(url), options),
+    options, instance.envConfig, instance.overrideConfig);
+  const storage = getStorage(options);
+  const cacheKey = await getRequestCacheKey(url, options, storage);
+  const entry = await findCacheEntry(storage, cacheKey,
+    headersToObject(options.headers));
+  return entry.headers ?? null;
+}
+
+/**
+ * Return true if the given URL is in the cache
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @param {String|URL} url The URL to look for
+ * @param {Object} options Same as for `readHeaders`
+ * @return {Promise<Boolean>} The promise to know whether the URL is cached
+ */
+async function isCached(instance, url, options) {
+  return !!(await readHeaders(instance, url, options));
+}
+
+/**
+ * Return true if the given URL is in the cache and the cached response can
+ * be returned without sending a network request, given the refresh strategy
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @param {String|URL} url The URL to look for
+ * @param {Object} options Optional parameters: `refresh` and `sharedCache`
+ *   override global settings, other parameters are the same as for
+ *   `readHeaders`
+ * @return {Promise<Boolean>} The promise to know whether the URL is cached
+ *   and fresh
+ */
+async function isFresh(instance, url, options) {
+  options = Object.assign(getUrlDefaults(instance.config, String(url), options),
+    options, instance.envConfig, instance.overrideConfig);
+  const headers = await readHeaders(instance, url, options);
+  return !hasExpired(headers, options.refresh, {
+    requestHeaders: headersToObject(options.headers),
+    sharedCache: options.sharedCache,
+    launchTime: instance.launchTime
+  });
+}
+
+/**
+ * Find the current and past versions of the cache entry of a URL
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @param {String|URL} url The URL to look for
+ * @param {Object} options Same as for `readHeaders`
+ * @return {Promise<Object>} The promise to get an object with the `storage`
+ *   backend and the list of `versions`, each with the `key` and `headers` of
+ *   the version, most recent first. The list is empty if the URL is not in
+ *   the cache.
+ */
+async function findVersions(instance, url, options) {
+  options = Object.assign(getUrlDefaults(instance.config, String(url), options),
+    options, instance.envConfig, instance.overrideConfig);
+  const storage = getStorage(options);
+  const cacheKey = await getRequestCacheKey(url, options, storage);
+  const entry = await findCacheEntry(storage, cacheKey,
+    headersToObject(options.headers));
+  if (!entry.headers) {
+    return { storage, versions: [] };
   }
+  const versions = [{ key: entry.key, headers: entry.headers }];
+  for (const version of entry.headers.versions ?? []) {
+    const key = getVersionKey(entry.key, version);
+    const headers = await readCachedHeaders(storage, key);
+    if (headers) {
+      versions.push({ key, headers });
+    }
+  }
+  return { storage, versions };
+}
 
-  function resolvePendingFetch() {
-    if (!pendingFetches[url]) return;
-    pendingFetches[url].resolve(true);
-    delete pendingFetches[url];
+/**
+ * List the versions of the given URL that are in the cache, most recent
+ * first. Past versions are only kept when the `keepVersions` parameter is
+ * set.
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @param {String|URL} url The URL to look for
+ * @param {Object} options Same as for `readHeaders`
+ * @return {Promise<Array<Object>>} The promise to get the list of versions,
+ *   each with a `version` number, the `received` date, the `status` and the
+ *   `bodyDigest` of the response. The list is empty if the URL is not in the
+ *   cache.
+ */
+async function listVersions(instance, url, options) {
+  const { versions } = await findVersions(instance, url, options);
+  return versions.map(({ headers }) => ({
+    version: headers.version ?? 1,
+    received: new Date(headers.received),
+    status: headers.status || 200,
+    bodyDigest: getContentDigest(headers) ?? null
+  }));
+}
+
+/**
+ * Read a version of the given URL from the cache, without sending any
+ * network request.
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @param {String|URL} url The URL to look for
+ * @param {Number|Date} which Index of the version in the list returned by
+ *   `listVersions` (`0` for the current version, `1` for the previous one,
+ *   etc.), or date at which the version to return was the current one
+ * @param {Object} options Same as for `readHeaders`
+ * @return {Promise<Response>} The promise to get the response, null if the
+ *   version is not in the cache
+ */
+async function readVersion(instance, url, which, options) {
+  const { storage, versions } = await findVersions(instance, url, options);
+  const found = (which instanceof Date) ?
+    versions.find(({ headers }) =>
+      (new Date(headers.received)).getTime() <= which.getTime()) :
+    versions[which ?? 0];
+  if (!found) {
+    return null;
   }
 
-  function rejectPendingFetch(err) {
-    if (!pendingFetches[url]) return;
-    pendingFetches[url].reject(err);
-    delete pendingFetches[url];
+  const headers = Object.assign({}, found.headers);
+  const status = headers.status || 200;
+  const method = (headers.method || 'GET').toUpperCase();
+  const bodyDigest = getContentDigest(headers);
+  const body = ((method === 'HEAD') || nullBodyStatuses.includes(status)) ?
+    null :
+    stream.Readable.toWeb(decompressBody(
+      await storage.getBody(headers.bodyKey ?? found.key), headers.bodyEncoding));
+  for (const property of metadataProperties) {
+    delete headers[property];
   }
+  const response = setResponseUrl(new Response(body, { status, headers }),
+    String(url), false);
+  if (bodyDigest) {
+    Object.defineProperty(response, 'bodyDigest',
+      { value: bodyDigest, configurable: true });
+  }
+  return response;
+}
 
-  async function readHeadersFromCache() {
-    try {
-      let data = await fs.promises.readFile(cacheHeadersFilename);
-      let headers = JSON.parse(data, 'utf8');
-      return headers;
-    }
-    catch (err) {
-      // Ignore cache/JSON errors for now, falling back to a network request
-      // TODO: throw or report?
-    }
+/**
+ * Delete the cache entries of the given URL, for all methods, request bodies
+ * and variants.
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @param {String|URL} url The URL to delete from the cache
+ * @param {Object} options Optional parameters: `cacheFolder` and `storage`
+ *   override global settings
+ * @return {Promise<Number>} The promise to get the number of deleted entries
+ */
+async function deleteUrl(instance, url, options) {
+  options = Object.assign(getUrlDefaults(instance.config, String(url), options),
+    options, instance.envConfig, instance.overrideConfig);
+  url = String(url);
+  const key = filenamify(url);
+  return deleteCacheEntries(getStorage(options), entry => entry.headers.url ?
+    (entry.headers.url === url) :
+    (entry.key === key));
+}
+
+/**
+ * Delete the cache entries of all URLs that start with the given prefix.
+ *
+ * Entries created by previous versions of the module do not record the URL
+ * and are not deleted.
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @param {String} prefix The URL prefix
+ * @param {Object} options Optional parameters: `cacheFolder` and `storage`
+ *   override global settings
+ * @return {Promise<Number>} The promise to get the number of deleted entries
+ */
+async function deletePrefix(instance, prefix, options) {
+  options = Object.assign({}, instance.config, options, instance.envConfig,
+    instance.overrideConfig);
+  return deleteCacheEntries(getStorage(options), entry =>
+    !!entry.headers.url?.startsWith(prefix));
+}
+
+
+/**
+ * Convert a cache folder to another layout. Entries are moved to the cache
+ * keys that the URLs have in the new layout, and the new layout is recorded
+ * in the manifest of the cache folder.
+ *
+ * Entries created by previous versions of the module do not record the URL
+ * and cannot be migrated. They are left untouched. The function should not
+ * run while the cache folder is being used.
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @param {String} layout The new layout, `flat` or `mirror`
+ * @param {Object} options Optional parameters: `cacheFolder` overrides
+ *   global settings
+ * @return {Promise<Object>} The promise to get an object with the number of
+ *   `migrated` entries, and the list of cache keys of the entries that were
+ *   `skipped`
+ */
+async function migrateLayout(instance, layout, options) {
+  options = Object.assign({}, instance.config, options, instance.envConfig,
+    instance.overrideConfig);
+  if (!layouts.hasOwnProperty(layout)) {
+    throw new Error('Unknown layout "' + layout + '"');
+  }
+  if (options.storage) {
+    throw new Error('Only cache folders can be migrated to another layout');
+  }
+  const storage = getStorage(Object.assign({}, options, { layout: null }));
+  const res = { migrated: 0, skipped: [] };
+  const from = storage.layout;
+  if (from === layout) {
+    return res;
   }
 
-  async function readFromCache(hit = false) {
-    let data = await fs.promises.readFile(cacheHeadersFilename, 'utf8');
-    let headers = JSON.parse(data);
-    let status = headers.status || 200;
-    if (headers.status) {
-      delete headers.status;
+  for (const entry of await storage.list()) {
+    const url = entry.headers.url;
+    const base = url ? layouts[from](url) : null;
+    if (url && entry.key.startsWith(layouts[layout](url))) {
+      // Entry already migrated, e.g. by a previous run that got interrupted
+      continue;
     }
-    if (headers.received) {
-      delete headers.received;
-    }
-    if (isRequestCacheAware && shouldReturn304(options.headers, headers)) {
-      // Only keep useful headers for 304 response, see:
-      // https://httpwg.org/specs/rfc7232.html#status.304
-      const toDelete = Object.keys(headers).filter(header =>
-        !['cache-control', 'content-location', 'date', 'etag',
-          'expires', 'last-modified', 'vary'].includes(header));
-      toDelete.forEach(header => delete headers[header]);
-      return new Response(null, { url, status: 304, headers });
+    if (!base || !entry.key.startsWith(base)) {
+      res.skipped.push(entry.key);
+      continue;
     }
-    let readable = fs.createReadStream(cacheFilename);
-    if (hit) {
-      // Indicate this is coming from the cache via
-      // https://www.rfc-editor.org/rfc/rfc9211.html
-      headers["cache-status"] = "fetch-filecache-for-crawling; hit";
+    const key = layouts[layout](url) + entry.key.slice(base.length);
+    if (entry.headers.versionOf?.startsWith(base)) {
+      // Past versions point to the entry they belong to
+      entry.headers.versionOf = layouts[layout](url) +
+        entry.headers.versionOf.slice(base.length);
     }
-    return new Response(readable, { url, status, headers });
-  }
-
-  async function saveToCacheIfNeeded(response, prevHeaders) {
-    // Not needed if response is the one we have in cache
-    // (but we'll still update the "received" date if we can to note that we
-    // checked the cache entry)
-    if (response.status === 304) {
-      if (!prevHeaders) {
-        log('response is not in cache but client has it');
-        return false;
+    if (!entry.headers.varyOn && !entry.headers.bodyKey) {
+      try {
+        await storage.moveBody(entry.key, key);
       }
-      else {
-        log('response in cache is still valid');
-        prevHeaders.received = (new Date()).toUTCString();
-        response.headers.forEach((value, header) => {
-          if ((header === 'expires') || (header === 'cache-control') || (header === 'date')) {
-            prevHeaders[header] = value;
-          }
-        });
-        try {
-          await fs.promises.writeFile(cacheHeadersFilename, JSON.stringify(prevHeaders, null, 2), 'utf8');
-        }
-        catch (err) {
+      catch (err) {
+        // Entry without body, reported by the "verify" command
+        if (err.code !== 'ENOENT') {
+          throw err;
         }
-        return true;
       }
     }
+    await storage.putHeaders(key, entry.headers);
+    await storage.delete(entry.key);
+    res.migrated += 1;
+  }
+  await storage.setLayout(layout);
+  await storage.pruneFolders();
+  return res;
+}
 
-    log('fetch and save response to cache');
-    return new Promise(async (resolve, reject) => {
-      let writable = fs.createWriteStream(cacheFilename);
-      writable.on('close', _ => {
-        let headers = { status: response.status, received: (new Date()).toUTCString() };
-        response.headers.forEach((value, header) => headers[header] = value);
-        fs.promises.writeFile(cacheHeadersFilename, JSON.stringify(headers, null, 2), 'utf8')
-          .then(_ => resolve(true)).catch(reject);
-      });
-      writable.on('error', reject);
-      const reader = response.body.getReader();
-      while (true) {
-        const chunk = await reader.read();
-        if (chunk.done) {
-          writable.close();
-          break;
-        }
-        else {
-          writable.write(chunk.value);
-        }
+
+/**
+ * Export cache entries to a HAR 1.2 archive, see:
+ * http://www.softwareishard.com/blog/har-12-spec/
+ *
+ * Request headers and request bodies are not stored in the cache and cannot
+ * be exported.
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @param {Object} options Optional parameters: `cacheFolder` and `storage`
+ *   override global settings, `prefix` restricts the export to URLs that
+ *   start with the given string, `urls` to the given list of URLs
+ * @return {Promise<Object>} The promise to get the HAR archive
+ */
+async function exportHar(instance, options) {
+  options = Object.assign({}, instance.config, options, instance.envConfig,
+    instance.overrideConfig);
+  const storage = getStorage(options);
+  const entries = (await listCacheEntries(storage))
+    .filter(entry => !entry.headers.varyOn && !entry.headers.versionOf &&
+      entry.headers.url)
+    .filter(entry => !options.prefix || entry.headers.url.startsWith(options.prefix))
+    .filter(entry => !options.urls || options.urls.includes(entry.headers.url))
+    .sort((e1, e2) => e1.received - e2.received);
+
+  const harEntries = [];
+  for (const entry of entries) {
+    const url = new URL(entry.headers.url);
+    const method = entry.headers.method ?? 'GET';
+    const status = entry.headers.status || 200;
+    const headers = Object.entries(entry.headers)
+      .filter(([name]) => !metadataProperties.includes(name))
+      .map(([name, value]) => ({ name, value: String(value) }));
+
+    const chunks = [];
+    if ((method !== 'HEAD') && !nullBodyStatuses.includes(status)) {
+      const body = decompressBody(
+        await storage.getBody(entry.headers.bodyKey ?? entry.key),
+        entry.headers.bodyEncoding);
+      for await (const chunk of body) {
+        chunks.push(chunk);
       }
+    }
+    const body = Buffer.concat(chunks);
+    const content = {
+      size: body.length,
+      mimeType: entry.headers['content-type'] ?? ''
+    };
+    if (isCompressibleType(entry.headers['content-type'])) {
+      content.text = body.toString('utf8');
+    }
+    else if (body.length > 0) {
+      content.text = body.toString('base64');
+      content.encoding = 'base64';
+    }
+
+    harEntries.push({
+      startedDateTime: (new Date(entry.received)).toISOString(),
+      time: 0,
+      request: {
+        method,
+        url: url.href,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: [],
+        queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+        headersSize: -1,
+        bodySize: -1
+      },
+      response: {
+        status,
+        statusText: http.STATUS_CODES[status] ?? '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers,
+        content,
+        redirectURL: entry.headers.location ?? '',
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings: { send: 0, wait: 0, receive: 0 }
     });
   }
 
-  async function conditionalFetch(prevHeaders) {
-    options.headers = options.headers || {};
-    if (prevHeaders && prevHeaders['last-modified'] && !isRequestCacheAware) {
-      options.headers['If-Modified-Since'] = prevHeaders['last-modified'];
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: packageInfo.name, version: packageInfo.version },
+      entries: harEntries
     }
-    if (prevHeaders && prevHeaders.etag && !isRequestCacheAware) {
-      options.headers['If-None-Match'] = prevHeaders.etag;
+  };
+}
+
+/**
+ * Import the entries of a HAR archive into the cache.
+ *
+ * Entries whose method is not cached, entries without a response (e.g.
+ * blocked requests in browser archives) and entries whose response varies on
+ * all request headers are skipped. When the archive contains several entries
+ * for the same request, the last one wins.
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @param {Object} har The HAR archive
+ * @param {Object} options Optional parameters: `cacheFolder` and `storage`
+ *   override global settings, as well as `compression` and
+ *   `compressionThreshold`
+ * @return {Promise<Number>} The promise to get the number of imported entries
+ */
+async function importHar(instance, har, options) {
+  options = Object.assign({}, instance.config, options, instance.envConfig,
+    instance.overrideConfig);
+  const storage = getStorage(options);
+
+  // Convert a list of HAR headers to an object, skipping HTTP/2
+  // pseudo-headers
+  function harHeadersToObject(harHeaders) {
+    const res = {};
+    for (const { name, value } of harHeaders ?? []) {
+      if (name.startsWith(':')) {
+        continue;
+      }
+      const header = name.toLowerCase();
+      res[header] = res[header] ? res[header] + ', ' + value : value;
     }
-    if (getHeaderValue(options.headers, 'If-Modified-Since') ||
-        getHeaderValue(options.headers, 'If-None-Match')) {
-      log('send conditional request');
+    return res;
+  }
+
+  let imported = 0;
+  for (const harEntry of har?.log?.entries ?? []) {
+    const { request, response } = harEntry;
+    const method = (request?.method ?? 'GET').toUpperCase();
+    if (!request?.url || !cacheableMethods.includes(method) ||
+        !(response?.status > 0)) {
+      continue;
     }
-    else {
-      log('send regular request');
+    const headers = harHeadersToObject(response.headers);
+    if (parseVary(headers.vary).includes('*')) {
+      continue;
     }
 
-    // To overcome transient network errors, we'll fetch the same URL again
-    // a few times before we surrender when a network error occurs, letting
-    // a few seconds elapse between attempts
-    async function fetchWithRetry(url, options, remainingAttempts) {
-      try {
-        return await fetch(url, options);
-      }
-      catch (err) {
-        if ((err.name === 'AbortError') || (remainingAttempts <= 0)) throw err;
-        log('fetch attempt failed, sleep and try again');
-        await sleep(2000 + Math.floor(Math.random() * 8000));
-        return await fetchWithRetry(url, options, remainingAttempts - 1);
-      }
+    const content = response.content ?? {};
+    const body = Buffer.from(content.text ?? '',
+      content.encoding === 'base64' ? 'base64' : 'utf8');
+    const requestBody = (request.postData?.text !== undefined) ?
+      Buffer.from(request.postData.text, 'utf8') :
+      null;
+    let received = new Date(harEntry.startedDateTime);
+    if (isNaN(received.getTime())) {
+      received = new Date();
     }
 
-    let response = await fetchWithRetry(url, options, 3);
-    const inCache = await saveToCacheIfNeeded(response, prevHeaders);
-    if (inCache) {
-      return readFromCache();
+    await storeCacheEntry(storage,
+      getCacheKey(request.url, method, requestBody, storage.layout), {
+      url: request.url,
+      method,
+      status: response.status,
+      headers,
+      requestHeaders: harHeadersToObject(request.headers),
+      body: [body],
+      received
+    }, options);
+    imported += 1;
+  }
+  return imported;
+}
+
+
+/**
+ * Decode the entities and character references in XML text
+ *
+ * @function
+ * @param {String} text The XML text
+ * @return {String} The decoded text
+ */
+function decodeXmlText(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (match, entity) => {
+    if (entity.startsWith('#x')) {
+      return String.fromCodePoint(parseInt(entity.slice(2), 16));
+    }
+    else if (entity.startsWith('#')) {
+      return String.fromCodePoint(parseInt(entity.slice(1), 10));
     }
     else {
-      // This happens when agent set an If-None-Match or If-Modified-Since
-      // header, server returned a 304, and we don't yet have the resource in
-      // the file cache. Let's just transparently pass the response over to the
-      // agent.
-      return response;
+      return xmlEntities[entity] ?? match;
+    }
+  });
+}
+
+
+/**
+ * Read the list of URLs in a sitemap, as defined in:
+ * https://www.sitemaps.org/protocol.html
+ *
+ * Sitemaps are fetched through the cache. Sitemap indexes are followed, and
+ * gzipped sitemaps are decompressed.
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @param {String|URL} url The URL of the sitemap or sitemap index
+ * @param {Object} options Fetch options used to fetch sitemaps
+ * @return {Promise<Array<String>>} The promise to get the list of URLs in
+ *   the sitemap, without duplicates
+ */
+async function readSitemap(instance, url, options) {
+  const urls = new Set();
+  const visited = new Set();
+
+  async function read(sitemapUrl) {
+    if (visited.has(sitemapUrl)) {
+      return;
+    }
+    visited.add(sitemapUrl);
+    const response = await cacheFetch(instance, sitemapUrl, options);
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new Error('Could not fetch sitemap ' + sitemapUrl +
+        ' (HTTP status ' + response.status + ')');
+    }
+    let body = Buffer.from(await response.arrayBuffer());
+    if ((body[0] === 0x1f) && (body[1] === 0x8b)) {
+      body = zlib.gunzipSync(body);
+    }
+    const xml = body.toString('utf8');
+    const locs = [...xml.matchAll(
+        /<loc>\s*(?:<!\[CDATA\[([\s\S]*?)\]\]>|([^<]*))\s*<\/loc>/g)]
+      .map(match => match[1] ?? decodeXmlText(match[2]).trim())
+      .map(loc => (new URL(loc, sitemapUrl)).href);
+    if (/<sitemapindex[\s>]/.test(xml)) {
+      for (const loc of locs) {
+        await read(loc);
+      }
+    }
+    else {
+      locs.forEach(loc => urls.add(loc));
     }
   }
 
-  log('fetch ' + url);
-  await checkCacheFolder();
-  if (isFetchPending()) {
-    // There is a pending fetch, wait for that fetch to finish and reuse the
-    // cached answer (NB: we cannot reuse the Response object directly because
-    // response body stream can only be read once)
-    let pendingFetch = await pendingFetchIsOver();
+  await read(String(url));
+  return [...urls];
+}
 
-    log('pending request over, return response from cache');
-    return readFromCache();
+
+/**
+ * Tell what fetching a URL did to the cache, from the Cache-Status header of
+ * the response
+ *
+ * @function
+ * @param {Response} response The response returned by cacheFetch
+ * @return {String} One of `hit`, `revalidated`, `downloaded`, `stale` and
+ *   `uncached`
+ */
+function getPrefetchOutcome(response) {
+  const params = parseCacheStatus(response.headers.get('cache-status')) ?? {};
+  if (params.hit || params.collapsed) {
+    return 'hit';
+  }
+  else if (params.detail === 'stale-if-error') {
+    return 'stale';
+  }
+  else if (params.stored) {
+    return (params['fwd-status'] === '304') ? 'revalidated' : 'downloaded';
   }
   else {
-    addPendingFetch();
-    try {
-      let headers = await readHeadersFromCache();
-      if (hasExpired(headers, config.refresh)) {
-        let response = await conditionalFetch(headers);
-        resolvePendingFetch();
-        return response;
+    return 'uncached';
+  }
+}
+
+
+/**
+ * Fetch a list of URLs into the cache, typically to warm up the cache before
+ * an offline build step. Bodies are not returned.
+ *
+ * URLs are fetched through the fetch instance, so requests follow the
+ * configuration of the instance, and requests for URLs that are already
+ * being fetched wait for the pending fetch to complete.
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @param {Iterable<String|URL>} urls The URLs to fetch
+ * @param {Object} options Fetch options used for all URLs, e.g. `refresh`,
+ *   plus the number of URLs to fetch at once (`concurrency`) and an
+ *   `onProgress` function called with an object that has the number of URLs
+ *   `done`, the `total` number of URLs, and the `result` for the URL that
+ *   was just fetched
+ * @return {Promise<Array<Object>>} The promise to get one result per URL, in
+ *   the order of the list, with the `url`, the `outcome` (`hit`,
+ *   `revalidated`, `downloaded`, `stale`, `uncached` or `failed`), the HTTP
+ *   `status` of the response, and the `error` for failed URLs
+ */
+async function prefetch(instance, urls, options) {
+  const fetchOptions = Object.assign({}, options);
+  const concurrency = fetchOptions.concurrency ?? defaultPrefetchConcurrency;
+  const onProgress = fetchOptions.onProgress;
+  delete fetchOptions.concurrency;
+  delete fetchOptions.onProgress;
+  if (!Number.isInteger(concurrency) || (concurrency < 1)) {
+    throw new Error('Invalid value for parameter "concurrency": ' +
+      JSON.stringify(concurrency));
+  }
+
+  const list = [...urls].map(url => String(url));
+  const results = new Array(list.length);
+  let next = 0;
+  let done = 0;
+
+  async function worker() {
+    while (next < list.length) {
+      const idx = next;
+      next += 1;
+      const url = list[idx];
+      let result;
+      try {
+        const response = await cacheFetch(instance, url, fetchOptions);
+        await response.body?.cancel();
+        result = {
+          url,
+          outcome: getPrefetchOutcome(response),
+          status: response.status
+        };
       }
-      else {
-        resolvePendingFetch();
-        return readFromCache(true);
+      catch (err) {
+        result = { url, outcome: 'failed', error: err };
+      }
+      results[idx] = result;
+      done += 1;
+      if (onProgress) {
+        onProgress({ done, total: list.length, result });
       }
-    }
-    catch (err) {
-      rejectPendingFetch(err);
-      throw err;
     }
   }
+
+  await Promise.all(Array.from(
+    { length: Math.min(concurrency, list.length) },
+    () => worker()));
+  return results;
+}
+
+
+/**
+ * Return statistics about the requests made since the application started
+ *
+ * @function
+ * @private
+ * @param {Object} instance State of the fetch instance
+ * @return {Object} An object with the number of `requests`, `hits`, `misses`,
+ *   `revalidations`, `coalesced` requests, `stored` responses, `retries` and
+ *   `errors`, and with the number of `bytesDownloaded` and `bytesFromCache`
+ */
+function getStats(instance) {
+  return Object.assign({}, instance.stats);
 }
 
-module.exports = cacheFetch;
-module.exports.setParameter = function (name, value) {
-  globalConfig[name] = value;
+
+/**
+ * Create a new fetch function that has its own configuration, request
+ * counter, statistics, events, and launch time for the `once` refresh
+ * strategy.
+ *
+ * Instances still share cache folders: when two instances use the same cache
+ * folder, they coordinate through lock files, as different processes would.
+ *
+ * @function
+ * @param {Object} config Settings of the instance, which override default
+ *   settings and settings read from the project configuration. Settings may
+ *   also be changed afterwards through the `setParameter` function of the
+ *   instance.
+ * @param {Object} overrides Settings that override all other settings,
+ *   including settings set through environment variables, e.g. to apply
+ *   explicit command-line options
+ * @return {function} A cached `fetch` function, which also exposes cache
+ *   management functions
+ */
+function createFetch(config, overrides) {
+  validateConfig(config ?? {}, 'createFetch parameters');
+  validateConfig(overrides ?? {}, 'createFetch overrides');
+  const instance = {
+    config: Object.assign({}, defaultConfig,
+      readProjectConfig(process.cwd()), config),
+
+    // Parameters set through environment variables, which override all
+    // other settings
+    envConfig: readEnvConfig(process.env),
+
+    // Parameters given as overrides to createFetch, which override
+    // environment variables as well
+    overrideConfig: Object.assign({}, overrides),
+
+    // The list of cache keys that are being fetched and that should soon
+    // be available from the cache, together with the Promise to have
+    // fetched them, per storage
+    pendingFetches: new WeakMap(),
+
+    // Reset the storage only once
+    storageReset: new WeakMap(),
+
+    // Apply retention policies to the storage only once
+    storageRetention: new WeakMap(),
+
+    // Network requests throttling state, per host
+    hostThrottles: {},
+
+    // Emitter of structured events about requests
+    events: new EventEmitter(),
+
+    // Statistics about requests since the instance was created
+    stats: {
+      requests: 0,
+      hits: 0,
+      misses: 0,
+      revalidations: 0,
+      coalesced: 0,
+      stored: 0,
+      retries: 0,
+      errors: 0,
+      bytesDownloaded: 0,
+      bytesFromCache: 0
+    },
+
+    // Request counter
+    counter: 0,
+
+    // Launch time
+    launchTime: Date.now()
+  };
+
+  const instanceFetch = (resource, options) => cacheFetch(instance, resource, options);
+  Object.assign(instanceFetch, {
+    createFetch,
+    FileStorage,
+    MemoryStorage,
+    ArchiveStorage,
+    CacheMissError,
+    CacheOverwriteError,
+    events: instance.events,
+    setParameter: (name, value) => {
+      validateConfig({ [name]: value });
+      instance.config[name] = value;
+    },
+    getParameter: name => Object.assign({}, instance.config,
+      instance.envConfig, instance.overrideConfig)[name],
+    resetLaunchTime: () => instance.launchTime = Date.now(),
+    sweep: options => sweep(instance, options),
+    listEntries: options => listEntries(instance, options),
+    readHeaders: (url, options) => readHeaders(instance, url, options),
+    isCached: (url, options) => isCached(instance, url, options),
+    isFresh: (url, options) => isFresh(instance, url, options),
+    listVersions: (url, options) => listVersions(instance, url, options),
+    readVersion: (url, which, options) => readVersion(instance, url, which, options),
+    deleteUrl: (url, options) => deleteUrl(instance, url, options),
+    deletePrefix: (prefix, options) => deletePrefix(instance, prefix, options),
+    migrateLayout: (layout, options) => migrateLayout(instance, layout, options),
+    exportHar: options => exportHar(instance, options),
+    importHar: (har, options) => importHar(instance, har, options),
+    readSitemap: (url, options) => readSitemap(instance, url, options),
+    prefetch: (urls, options) => prefetch(instance, urls, options),
+    getStats: () => getStats(instance)
+  });
+  return instanceFetch;
 }
+
+module.exports = createFetch();
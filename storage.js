@@ -0,0 +1,837 @@
+/**
+ * Storage backends for the cache.
+ *
+ * A storage backend stores cache entries, identified by a cache key. An entry
+ * has headers (an object that gets serialized to JSON) and a body. Entries
+ * that merely record the request headers that a response varies on have
+ * headers but no body.
+ *
+ * Backends implement the following methods, all of which return a Promise:
+ * - `getHeaders(key)`: resolve with the headers of the entry, or with
+ *   `undefined` if the entry does not exist. Reject if headers cannot be read
+ *   or parsed.
+ * - `getBody(key)`: resolve with a readable stream of the body. Reject if the
+ *   body does not exist.
+ * - `getBodySize(key)`: resolve with the size of the body in bytes. Reject if
+ *   the body does not exist.
+ * - `putBody(key, chunks)`: store the body, given as an async iterable of
+ *   chunks. The new body may only become visible once stored completely.
+ * - `putHeaders(key, headers)`: store the headers of the entry. Called after
+ *   `putBody` when the entry has a body.
+ * - `delete(key)`: delete the entry, headers and body.
+ * - `list()`: resolve with the list of entries, each an object with a `key`,
+ *   `headers` and `size` (in bytes) property. Entries whose headers cannot be
+ *   parsed are skipped.
+ * - `reset(options)`: delete all entries. The `since` option is the time at
+ *   which the application was launched.
+ *
+ * Backends may also implement a `lock(key, staleTimeout)` method to
+ * coordinate requests across processes that share the same storage. The
+ * method resolves with a lock object with a `waited` property set to true
+ * when another process held the lock, and a `release` function.
+ *
+ * Backends that support content-addressed bodies shared by several entries
+ * also implement the following methods. Shared bodies are stored under keys
+ * that contain a `/`, and have no headers:
+ * - `moveBody(fromKey, toKey)`: move the body of an entry to another key,
+ *   replacing the body stored under that key, if any.
+ * - `listBodies(prefix)`: resolve with the list of keys of the bodies whose
+ *   key starts with the given prefix and that have no headers.
+ *
+ * Backends may also have a `layout` property that selects how cache keys get
+ * derived from URLs, see the `layout` parameter. The `flat` layout is used
+ * when the property is not set.
+ *
+ * @module fetch-filecache/storage
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { setTimeout: sleep } = require('timers/promises');
+const { rimraf } = require('rimraf');
+
+// Time to wait between two attempts to acquire a lock held by another
+// process (ms)
+const lockPollInterval = 100;
+
+// Name of the manifest file that records the layout of a cache folder
+const manifestFilename = '.manifest.json';
+
+
+/**
+ * Return the name of a temporary file to write to before the file gets
+ * renamed to the given filename.
+ *
+ * Temporary files end with `.tmp` so that they do not get confused with
+ * headers files.
+ *
+ * @function
+ * @param {String} filename The final filename
+ * @return {String} A unique temporary filename in the same folder
+ */
+function getTempFilename(filename) {
+  return filename + '.' + crypto.randomBytes(6).toString('hex') + '.tmp';
+}
+
+
+/**
+ * Write a file atomically, through a temporary file that gets renamed, so
+ * that readers never see partially written contents
+ *
+ * @function
+ * @param {String} filename The file to write
+ * @param {String|Buffer} data The contents to write
+ * @return {Promise} The promise to have written the file
+ */
+async function writeFileAtomic(filename, data) {
+  const tmpFilename = getTempFilename(filename);
+  try {
+    await fs.promises.writeFile(tmpFilename, data);
+    await fs.promises.rename(tmpFilename, filename);
+  }
+  catch (err) {
+    await fs.promises.rm(tmpFilename, { force: true });
+    throw err;
+  }
+}
+
+
+/**
+ * List the files in a folder and its subfolders
+ *
+ * @function
+ * @param {String} folder The folder
+ * @return {Promise<Array<String>>} The promise to get the paths of the files,
+ *   relative to the folder and with "/" separators. Empty if the folder does
+ *   not exist.
+ */
+async function listFiles(folder) {
+  let dirents;
+  try {
+    dirents = await fs.promises.readdir(folder, { withFileTypes: true });
+  }
+  catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+  const files = [];
+  for (const dirent of dirents) {
+    if (dirent.isDirectory()) {
+      const subfiles = await listFiles(path.join(folder, dirent.name));
+      files.push(...subfiles.map(file => dirent.name + '/' + file));
+    }
+    else {
+      files.push(dirent.name);
+    }
+  }
+  return files;
+}
+
+
+/**
+ * Return true if the given process is running on this machine
+ *
+ * @function
+ * @param {Number} pid Process ID
+ * @return {Boolean} true if the process is running
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  }
+  catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+
+/**
+ * Return true if the lock file was left by a process that crashed
+ *
+ * A lock is stale when its owner has not refreshed it for a while, or when its
+ * owner runs on this machine and is no longer running.
+ *
+ * @function
+ * @param {String} lockFilename Path to the lock file
+ * @param {Number} staleTimeout Number of seconds after which a lock that was
+ *   not refreshed is considered stale
+ * @return {Promise<Boolean>} The promise to know whether the lock is stale.
+ *   Resolves to true if the lock file no longer exists.
+ */
+async function isLockStale(lockFilename, staleTimeout) {
+  let stat;
+  let owner;
+  try {
+    stat = await fs.promises.stat(lockFilename);
+    owner = JSON.parse(await fs.promises.readFile(lockFilename, 'utf8'));
+  }
+  catch (err) {
+    if (err.code === 'ENOENT') {
+      return true;
+    }
+    // Owner may not have written its info yet
+  }
+  if (stat && (Date.now() - stat.mtimeMs > staleTimeout * 1000)) {
+    return true;
+  }
+  return !!owner && (owner.hostname === os.hostname()) &&
+    (owner.pid !== process.pid) && !isProcessAlive(owner.pid);
+}
+
+
+/**
+ * Take over a stale lock file
+ *
+ * Other processes may find the same lock stale at the same time, and one of
+ * them may already have taken it over. Processes that take over a lock first
+ * create a `.break` file next to the lock file, so that only one of them
+ * does it at a time, and check that the lock file is still the one they
+ * found stale. The stale lock file is then atomically replaced with a lock
+ * file that records the new owner, so that no other process can create a
+ * lock in the meantime.
+ *
+ * @function
+ * @param {String} lockFilename Path to the lock file
+ * @param {Object} stat File info of the lock file when it was found stale
+ * @param {Number} staleTimeout Number of seconds after which a `.break` file
+ *   left over by a process that crashed gets removed
+ * @return {Promise<Boolean>} The promise to know whether the lock was taken
+ *   over
+ */
+async function takeOverStaleLock(lockFilename, stat, staleTimeout) {
+  const breakFilename = lockFilename + '.break';
+  try {
+    await (await fs.promises.open(breakFilename, 'wx')).close();
+  }
+  catch (err) {
+    if (err.code !== 'EEXIST') {
+      throw err;
+    }
+    // Another process is taking over the lock, unless it crashed while doing
+    // so a long time ago
+    try {
+      const breakStat = await fs.promises.stat(breakFilename);
+      if (Date.now() - breakStat.mtimeMs > staleTimeout * 1000) {
+        await fs.promises.rm(breakFilename, { force: true });
+      }
+    }
+    catch (statErr) {
+    }
+    return false;
+  }
+
+  try {
+    let current;
+    try {
+      current = await fs.promises.stat(lockFilename);
+    }
+    catch (err) {
+      if (err.code === 'ENOENT') {
+        return false;
+      }
+      throw err;
+    }
+    if ((current.ino !== stat.ino) || (current.mtimeMs !== stat.mtimeMs)) {
+      // The lock was released, refreshed, or taken over in the meantime
+      return false;
+    }
+    const tmpFilename = getTempFilename(lockFilename);
+    await fs.promises.writeFile(tmpFilename, JSON.stringify({
+      pid: process.pid,
+      hostname: os.hostname()
+    }), 'utf8');
+    await fs.promises.rename(tmpFilename, lockFilename);
+    return true;
+  }
+  finally {
+    await fs.promises.rm(breakFilename, { force: true });
+  }
+}
+
+
+/**
+ * Acquire a lock shared with other processes, waiting for the lock to be
+ * released if another process holds it.
+ *
+ * The lock is a file created exclusively, which records the owner of the
+ * lock. The owner refreshes the modification time of the file while it holds
+ * the lock, so that other processes can detect stale locks left by processes
+ * that crashed.
+ *
+ * @function
+ * @param {String} lockFilename Path to the lock file
+ * @param {Number} staleTimeout Number of seconds after which a lock that was
+ *   not refreshed is considered stale
+ * @return {Promise<Object>} The promise to get the lock, an object with a
+ *   `waited` property set to true if another process held the lock, and a
+ *   `release` function that returns a Promise to have released the lock
+ */
+async function acquireLock(lockFilename, staleTimeout) {
+  let waited = false;
+  while (true) {
+    try {
+      const handle = await fs.promises.open(lockFilename, 'wx');
+      try {
+        await handle.writeFile(JSON.stringify({
+          pid: process.pid,
+          hostname: os.hostname()
+        }), 'utf8');
+      }
+      finally {
+        await handle.close();
+      }
+      break;
+    }
+    catch (err) {
+      if (err.code !== 'EEXIST') {
+        throw err;
+      }
+    }
+    waited = true;
+    let stat;
+    try {
+      stat = await fs.promises.stat(lockFilename);
+    }
+    catch (err) {
+      // Lock released in the meantime
+      continue;
+    }
+    if (await isLockStale(lockFilename, staleTimeout) &&
+        await takeOverStaleLock(lockFilename, stat, staleTimeout)) {
+      break;
+    }
+    await sleep(lockPollInterval);
+  }
+
+  const timer = setInterval(() => {
+    const now = new Date();
+    fs.promises.utimes(lockFilename, now, now).catch(err => {});
+  }, staleTimeout * 1000 / 3);
+  timer.unref();
+
+  return {
+    waited,
+    release: async function () {
+      clearInterval(timer);
+      await fs.promises.rm(lockFilename, { force: true });
+    }
+  };
+}
+
+
+/**
+ * Storage backend that stores entries in a cache folder. Each entry is stored
+ * in two files named after the cache key: one for the body, and one with a
+ * `.headers` extension for the headers. Keys that contain "/" are stored in
+ * subfolders.
+ *
+ * Files are written to temporary files first and then renamed into place.
+ * Locks are lock files with a `.lock` extension. Stale locks are taken over
+ * while holding a `.break` file.
+ *
+ * The layout of the cache folder is recorded in a manifest file when the
+ * folder gets created.
+ */
+class FileStorage {
+  /**
+   * @param {String} cacheFolder The cache folder
+   * @param {Object} options The `layout` option sets the layout to use if
+   *   the cache folder does not exist yet (`flat` by default)
+   */
+  constructor(cacheFolder, options) {
+    this.cacheFolder = cacheFolder;
+    this.requestedLayout = options?.layout ?? null;
+    this.resolvedLayout = null;
+    this.manifestWritten = false;
+  }
+
+  /**
+   * Layout of the cache folder
+   *
+   * The layout is the one recorded in the manifest of the cache folder.
+   * Cache folders that were created by previous versions of the module do not
+   * have a manifest and use the `flat` layout. New cache folders use the
+   * requested layout.
+   *
+   * The layout is needed to compute cache keys, and is read synchronously.
+   */
+  get layout() {
+    if (!this.resolvedLayout) {
+      let manifest = null;
+      try {
+        manifest = JSON.parse(fs.readFileSync(
+          path.join(this.cacheFolder, manifestFilename), 'utf8'));
+      }
+      catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw new Error('Cannot read the manifest of the cache folder: ' + err.message);
+        }
+      }
+      if (manifest) {
+        this.resolvedLayout = manifest.layout ?? 'flat';
+        this.manifestWritten = true;
+      }
+      else {
+        let files = [];
+        try {
+          files = fs.readdirSync(this.cacheFolder)
+            .filter(file => !file.startsWith('.'));
+        }
+        catch (err) {
+        }
+        this.resolvedLayout = (files.length > 0) ?
+          'flat' :
+          (this.requestedLayout ?? 'flat');
+      }
+    }
+    return this.resolvedLayout;
+  }
+
+  /**
+   * Record the layout of the cache folder in its manifest
+   *
+   * @param {String} layout The layout
+   * @return {Promise} The promise to have written the manifest
+   */
+  async setLayout(layout) {
+    await fs.promises.mkdir(this.cacheFolder, { recursive: true });
+    await writeFileAtomic(path.join(this.cacheFolder, manifestFilename),
+      JSON.stringify({ version: 1, layout }, null, 2));
+    this.resolvedLayout = layout;
+    this.manifestWritten = true;
+  }
+
+  /**
+   * Return the path to the body file of an entry
+   *
+   * @param {String} key The cache key
+   * @return {String} Path to the body file
+   */
+  getFilename(key) {
+    return path.join(this.cacheFolder, key);
+  }
+
+  /**
+   * Create the cache folder if it does not exist yet, along with its
+   * manifest, and the subfolder of the given key, if needed
+   *
+   * @param {String} key The cache key, if any
+   * @return {Promise} The promise to have created the folder
+   */
+  async ensureFolder(key) {
+    try {
+      await fs.promises.mkdir(this.cacheFolder, { recursive: true });
+    }
+    catch (err) {
+      if (err.code === 'EEXIST') {
+        throw new Error('Looking for a cache folder but found a cache file instead');
+      }
+      throw err;
+    }
+    if (!this.manifestWritten) {
+      await this.setLayout(this.layout);
+    }
+    if (key?.includes('/')) {
+      await fs.promises.mkdir(path.dirname(this.getFilename(key)), { recursive: true });
+    }
+  }
+
+  async getHeaders(key) {
+    let data;
+    try {
+      data = await fs.promises.readFile(this.getFilename(key) + '.headers', 'utf8');
+    }
+    catch (err) {
+      if (err.code === 'ENOENT') {
+        return;
+      }
+      throw err;
+    }
+    return JSON.parse(data);
+  }
+
+  async getBody(key) {
+    // Open the file right away so that the body remains readable even if the
+    // entry gets replaced in the meantime
+    const handle = await fs.promises.open(this.getFilename(key));
+    return handle.createReadStream();
+  }
+
+  async getBodySize(key) {
+    return (await fs.promises.stat(this.getFilename(key))).size;
+  }
+
+  async putBody(key, chunks) {
+    await this.ensureFolder(key);
+    const filename = this.getFilename(key);
+    const tmpFilename = getTempFilename(filename);
+    try {
+      await pipeline(chunks, fs.createWriteStream(tmpFilename));
+      await fs.promises.rename(tmpFilename, filename);
+    }
+    catch (err) {
+      await fs.promises.rm(tmpFilename, { force: true });
+      throw err;
+    }
+  }
+
+  async putHeaders(key, headers) {
+    await this.ensureFolder(key);
+    await writeFileAtomic(this.getFilename(key) + '.headers',
+      JSON.stringify(headers, null, 2));
+  }
+
+  async moveBody(fromKey, toKey) {
+    await this.ensureFolder(toKey);
+    await fs.promises.rename(this.getFilename(fromKey), this.getFilename(toKey));
+  }
+
+  async listBodies(prefix) {
+    // The prefix may be a folder name that ends with "/"
+    const filename = this.getFilename(prefix);
+    const folder = prefix.endsWith('/') ? filename : path.dirname(filename);
+    const start = prefix.endsWith('/') ? '' : path.basename(filename);
+    let files;
+    try {
+      files = await fs.promises.readdir(folder);
+    }
+    catch (err) {
+      if (err.code === 'ENOENT') {
+        return [];
+      }
+      throw err;
+    }
+    const fileSet = new Set(files);
+    const keyFolder = prefix.slice(0, prefix.length - start.length);
+    return files
+      .filter(file => file.startsWith(start) && !file.startsWith('.') &&
+        !['.headers', '.tmp', '.lock', '.break'].includes(path.extname(file)) &&
+        !fileSet.has(file + '.headers'))
+      .map(file => keyFolder + file);
+  }
+
+  async delete(key) {
+    const filename = this.getFilename(key);
+    await fs.promises.rm(filename + '.headers', { force: true });
+    await fs.promises.rm(filename, { force: true });
+  }
+
+  /**
+   * List entries. On top of the `key`, `headers` and `size` properties,
+   * entries also have a `filename` property with the path to the body file.
+   */
+  async list() {
+    const files = await listFiles(this.cacheFolder);
+    const entries = [];
+    for (const file of files.filter(file => file.endsWith('.headers'))) {
+      const key = file.slice(0, -'.headers'.length);
+      const filename = this.getFilename(key);
+      let headers;
+      let size = 0;
+      try {
+        const data = await fs.promises.readFile(filename + '.headers', 'utf8');
+        headers = JSON.parse(data);
+        size += Buffer.byteLength(data, 'utf8');
+      }
+      catch (err) {
+        // Entry may have been deleted in the meantime, or may be invalid
+        continue;
+      }
+      try {
+        size += (await fs.promises.stat(filename)).size;
+      }
+      catch (err) {
+      }
+      entries.push({ key, headers, size, filename });
+    }
+    return entries;
+  }
+
+  /**
+   * Delete empty subfolders of the cache folder, e.g. after entries were
+   * moved to other keys
+   *
+   * @return {Promise} The promise to have deleted empty subfolders
+   */
+  async pruneFolders() {
+    async function prune(folder) {
+      let dirents;
+      try {
+        dirents = await fs.promises.readdir(folder, { withFileTypes: true });
+      }
+      catch (err) {
+        return;
+      }
+      for (const dirent of dirents.filter(dirent => dirent.isDirectory())) {
+        const subfolder = path.join(folder, dirent.name);
+        await prune(subfolder);
+        try {
+          await fs.promises.rmdir(subfolder);
+        }
+        catch (err) {
+          // Folder is not empty
+        }
+      }
+    }
+    await prune(this.cacheFolder);
+  }
+
+  async lock(key, staleTimeout) {
+    await this.ensureFolder(key);
+    return acquireLock(this.getFilename(key) + '.lock', staleTimeout);
+  }
+
+  /**
+   * Reset the cache folder, unless another process already reset it since
+   * the given time.
+   *
+   * The time of the last reset is recorded in a `.reset` file in the cache
+   * folder. When locks are used, resets are serialized across processes.
+   *
+   * @param {Object} options The `since` option sets the time (in ms) at
+   *   which the application was launched. The `useLocks` and
+   *   `lockStaleTimeout` options control locking.
+   * @return {Promise} The promise to have reset the cache folder
+   */
+  async reset(options) {
+    await this.ensureFolder();
+    const markerFilename = path.join(this.cacheFolder, '.reset');
+    const lock = options?.useLocks ?
+      await acquireLock(markerFilename + '.lock', options.lockStaleTimeout) :
+      null;
+    try {
+      let lastReset = NaN;
+      try {
+        lastReset = Date.parse(await fs.promises.readFile(markerFilename, 'utf8'));
+      }
+      catch (err) {
+      }
+      if (lastReset >= options?.since) {
+        return;
+      }
+      await rimraf(this.cacheFolder + '/*', { glob: true });
+      await writeFileAtomic(markerFilename, (new Date()).toISOString());
+    }
+    finally {
+      await lock?.release();
+    }
+  }
+}
+
+
+/**
+ * Storage backend that keeps entries in memory, typically for tests
+ */
+class MemoryStorage {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async getHeaders(key) {
+    const entry = this.entries.get(key);
+    if (entry?.headers) {
+      // Return a copy as callers may update headers in place
+      return JSON.parse(entry.headers);
+    }
+  }
+
+  async getBody(key) {
+    const entry = this.entries.get(key);
+    if (!entry?.body) {
+      throw new Error('No body in memory storage for ' + key);
+    }
+    return Readable.from([entry.body]);
+  }
+
+  async getBodySize(key) {
+    const entry = this.entries.get(key);
+    if (!entry?.body) {
+      throw new Error('No body in memory storage for ' + key);
+    }
+    return entry.body.length;
+  }
+
+  async putBody(key, chunks) {
+    const buffers = [];
+    for await (const chunk of chunks) {
+      buffers.push(chunk);
+    }
+    const entry = this.entries.get(key) ?? {};
+    entry.body = Buffer.concat(buffers);
+    this.entries.set(key, entry);
+  }
+
+  async putHeaders(key, headers) {
+    const entry = this.entries.get(key) ?? {};
+    entry.headers = JSON.stringify(headers);
+    this.entries.set(key, entry);
+  }
+
+  async moveBody(fromKey, toKey) {
+    const entry = this.entries.get(fromKey);
+    if (!entry?.body) {
+      throw new Error('No body in memory storage for ' + fromKey);
+    }
+    const target = this.entries.get(toKey) ?? {};
+    target.body = entry.body;
+    this.entries.set(toKey, target);
+    delete entry.body;
+    if (!entry.headers) {
+      this.entries.delete(fromKey);
+    }
+  }
+
+  async listBodies(prefix) {
+    return [...this.entries.entries()]
+      .filter(([key, entry]) => key.startsWith(prefix) && entry.body &&
+        !entry.headers)
+      .map(([key, entry]) => key);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async list() {
+    return [...this.entries.entries()]
+      .filter(([key, entry]) => entry.headers)
+      .map(([key, entry]) => ({
+        key,
+        headers: JSON.parse(entry.headers),
+        size: Buffer.byteLength(entry.headers, 'utf8') + (entry.body?.length ?? 0)
+      }));
+  }
+
+  async reset() {
+    this.entries.clear();
+  }
+}
+
+
+/**
+ * Storage backend that stores all entries in a single archive file, so that
+ * a crawl cache can be shared as one artifact.
+ *
+ * The archive is a gzipped JSON file. Entries are loaded in memory when the
+ * storage is first used, and the archive is only written when `save()` gets
+ * called. The archive should not be used by different processes at once.
+ */
+class ArchiveStorage extends MemoryStorage {
+  /**
+   * @param {String} filename Path to the archive file
+   */
+  constructor(filename) {
+    super();
+    this.filename = filename;
+    this.loaded = null;
+  }
+
+  /**
+   * Load the archive in memory, if not already done
+   *
+   * @return {Promise} The promise to have loaded the archive
+   */
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        let data;
+        try {
+          data = await fs.promises.readFile(this.filename);
+        }
+        catch (err) {
+          if (err.code === 'ENOENT') {
+            return;
+          }
+          throw err;
+        }
+        const archive = JSON.parse(zlib.gunzipSync(data).toString('utf8'));
+        for (const [key, entry] of Object.entries(archive.entries)) {
+          this.entries.set(key, {
+            headers: entry.headers ? JSON.stringify(entry.headers) : undefined,
+            body: entry.body ? Buffer.from(entry.body, 'base64') : undefined
+          });
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Write the archive file
+   *
+   * @return {Promise} The promise to have written the archive
+   */
+  async save() {
+    await this.load();
+    const archive = { version: 1, entries: {} };
+    for (const [key, entry] of this.entries.entries()) {
+      archive.entries[key] = {
+        headers: entry.headers ? JSON.parse(entry.headers) : undefined,
+        body: entry.body?.toString('base64')
+      };
+    }
+    const data = zlib.gzipSync(JSON.stringify(archive));
+    await writeFileAtomic(this.filename, data);
+  }
+
+  async getHeaders(key) {
+    await this.load();
+    return super.getHeaders(key);
+  }
+
+  async getBody(key) {
+    await this.load();
+    return super.getBody(key);
+  }
+
+  async getBodySize(key) {
+    await this.load();
+    return super.getBodySize(key);
+  }
+
+  async putBody(key, chunks) {
+    await this.load();
+    return super.putBody(key, chunks);
+  }
+
+  async putHeaders(key, headers) {
+    await this.load();
+    return super.putHeaders(key, headers);
+  }
+
+  async moveBody(fromKey, toKey) {
+    await this.load();
+    return super.moveBody(fromKey, toKey);
+  }
+
+  async listBodies(prefix) {
+    await this.load();
+    return super.listBodies(prefix);
+  }
+
+  async delete(key) {
+    await this.load();
+    return super.delete(key);
+  }
+
+  async list() {
+    await this.load();
+    return super.list();
+  }
+
+  async reset() {
+    await this.load();
+    return super.reset();
+  }
+}
+
+
+module.exports = { FileStorage, MemoryStorage, ArchiveStorage, listFiles };